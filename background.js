@@ -3,24 +3,61 @@
  * Handles extension lifecycle and communication between components
  */
 
-// Default rules for common tracking parameters
-const DEFAULT_RULES = [
-    { pattern: "utm_.*", replacement: "" },
-    { pattern: "fbclid", replacement: "" },
-    { pattern: "gclid", replacement: "" },
-    { pattern: "msclkid", replacement: "" },
-    { pattern: "mc_eid", replacement: "" },
-    { pattern: "ref_.*", replacement: "" },
-    { pattern: "source", replacement: "" },
-    { pattern: "campaign", replacement: "" },
-    { pattern: "forcedownload", replacement: "" },
-    { pattern: "download", replacement: "" },
-];
+// Default rules and provider packs shared with the other components, the
+// rule list parser used for subscriptions, the custom rule storage and the
+// migrations of stored settings
+importScripts(
+    "rule_catalog.js",
+    "rule_engine.js",
+    "rule_importer.js",
+    "rule_storage.js",
+    "settings_migrations.js"
+);
+
+// Navigations whose query string gets cleaned by the redirect rules
+const REDIRECT_RESOURCE_TYPES = ["main_frame", "sub_frame"];
+
+// declarativeNetRequest limits on dynamic rules, and on the regex ones
+// among them. Removal rules beyond them are left to the content script
+const MAX_REDIRECT_RULES = 5000;
+const MAX_REGEX_REDIRECT_RULES = 1000;
+
+// Regex redirects only match URLs they change, so they run before the
+// removeParams ones. Links restored from the cleaning log and paused tabs
+// are let through
+const REGEX_REDIRECT_PRIORITY = 2;
+const PARAM_REDIRECT_PRIORITY = 1;
+const RESTORED_URL_PRIORITY = 3;
+const PAUSED_TAB_PRIORITY = 3;
+
+// Characters a query parameter name can never contain
+const PARAM_NAME_CHAR = "[^&=#]";
+
+// Context menu entries copying a cleaned link or page URL
+const CONTEXT_MENU_COPY_LINK = "copyCleanLink";
+const CONTEXT_MENU_COPY_PAGE = "copyCleanPageUrl";
+
+// Alarm that refreshes the subscribed rule lists
+const SUBSCRIPTION_ALARM = "refreshSubscriptions";
+
+// How often subscribed rule lists are refreshed, in minutes
+const SUBSCRIPTION_REFRESH_MINUTES = 12 * 60;
+
+// How many days of daily totals the cleaning statistics keep
+const STATS_HISTORY_DAYS = 365;
+
+// How many rules, domains and parameters the cleaning statistics keep,
+// dropping the least counted ones beyond that
+const STATS_MAX_ENTRIES = 500;
 
 class CleanURLsBackground {
     constructor() {
         this.tabCleanedLinks = new Map(); // Track cleaned links per tab ID
+        this.pausedTabs = new Set(); // Tabs where cleaning is paused
         this.currentActiveTabId = null; // Track the currently active tab
+        this.statsQueue = Promise.resolve(); // Runs statistics updates in turn
+        this.redirectRulesQueue = Promise.resolve(); // Runs rule updates in turn
+        this.settingsMigration = null; // Settings migrations of this start
         this.initializeExtension();
         this.setupEventListeners();
     }
@@ -30,39 +67,72 @@ class CleanURLsBackground {
      */
     async initializeExtension() {
         try {
+            // Content scripts read the rule snapshot from session storage
+            await chrome.storage.session.setAccessLevel({
+                accessLevel: "TRUSTED_AND_UNTRUSTED_CONTEXTS",
+            });
+
+            await this.migrateRuleStorage();
+            await this.migrateSettings();
+
             // Check if this is the first install
-            const { rules, isFirstInstall, showBadge } =
-                await chrome.storage.sync.get({
-                    rules: [],
-                    isFirstInstall: true,
-                    showBadge: true,
-                });
+            const {
+                [RULE_STORAGE_KEY]: ruleStorage,
+                isFirstInstall,
+                showBadge,
+                allowlist,
+            } = await chrome.storage.sync.get({
+                [RULE_STORAGE_KEY]: null,
+                isFirstInstall: true,
+                showBadge: true,
+                allowlist: [],
+            });
+            const rules = await loadStoredRules();
 
-            // Always ensure we have rules - set defaults if none exist
-            if (rules.length === 0) {
+            // Always ensure we have rules - set defaults if none exist.
+            // Rules another device keeps to itself are missing here, and
+            // must not be replaced
+            if (rules.length === 0 && ruleStorage?.area !== "local") {
+                await saveStoredRules(DEFAULT_RULES);
                 await chrome.storage.sync.set({
-                    rules: DEFAULT_RULES,
                     isFirstInstall: false,
                     showBadge: true,
                 });
                 // Update badge with 0 cleaned links initially
                 this.updateBadge(0, showBadge);
+                await this.updateRedirectRules(
+                    await this.getEffectiveRules(),
+                    allowlist
+                );
+                await this.updateRuleSnapshot();
             } else {
                 // Update badge with 0 cleaned links initially
                 this.updateBadge(0, showBadge);
+                await this.updateRedirectRules(
+                    await this.getEffectiveRules(),
+                    allowlist
+                );
+                await this.updateRuleSnapshot();
             }
 
+            await this.scheduleSubscriptionRefresh();
+
             // Initialize current active tab
             await this.initializeActiveTab();
         } catch (error) {
-            // Fallback: set default rules if anything fails
+            // Fallback: clean with the default rules if anything fails,
+            // without replacing the rules the user has stored
             try {
+                if ((await loadStoredRules()).length === 0) {
+                    await saveStoredRules(DEFAULT_RULES);
+                }
                 await chrome.storage.sync.set({
-                    rules: DEFAULT_RULES,
                     isFirstInstall: false,
                     showBadge: true,
                 });
                 this.updateBadge(0, true);
+                await this.updateRedirectRules(await this.getEffectiveRules());
+                await this.updateRuleSnapshot();
                 await this.initializeActiveTab();
             } catch (fallbackError) {
                 // Silent error handling
@@ -70,6 +140,130 @@ class CleanURLsBackground {
         }
     }
 
+    /**
+     * Move the rules out of the single "rules" sync key they were stored in
+     * before sharding, which big rule sets did not fit in. The old key is
+     * only removed once the rules are saved, so a failed move is retried
+     * on the next start
+     */
+    async migrateRuleStorage() {
+        const data = await chrome.storage.sync.get({
+            [RULE_STORAGE_KEY]: null,
+            rules: null,
+        });
+        if (data[RULE_STORAGE_KEY] || !data.rules) return;
+
+        try {
+            await saveStoredRules(data.rules);
+        } catch (error) {
+            // The rules stay in the old key
+        }
+    }
+
+    /**
+     * Bring the stored rules and settings up to the current schema version,
+     * once per start even when both startup and the update event ask for
+     * it. A failed migration keeps the old data and is retried on the next
+     * start
+     */
+    migrateSettings() {
+        if (!this.settingsMigration) {
+            this.settingsMigration = runSettingsMigrations().catch(() => {
+                // The rules and settings stay as they were
+            });
+        }
+        return this.settingsMigration;
+    }
+
+    /**
+     * Schedule the periodic refresh of subscribed rule lists
+     */
+    async scheduleSubscriptionRefresh() {
+        const alarm = await chrome.alarms.get(SUBSCRIPTION_ALARM);
+        if (!alarm) {
+            await chrome.alarms.create(SUBSCRIPTION_ALARM, {
+                delayInMinutes: 1,
+                periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES,
+            });
+        }
+    }
+
+    /**
+     * Download every subscribed rule list and cache the result in local
+     * storage. Lists that fail to download keep their last good copy
+     */
+    async refreshSubscriptions() {
+        const { subscriptions } = await chrome.storage.sync.get({
+            subscriptions: [],
+        });
+        const { subscriptionCache } = await chrome.storage.local.get({
+            subscriptionCache: {},
+        });
+
+        // Lists that are no longer subscribed are dropped from the cache
+        const updatedCache = {};
+        for (const { url } of subscriptions) {
+            updatedCache[url] = await this.fetchSubscription(
+                url,
+                subscriptionCache[url] || {}
+            );
+        }
+
+        await chrome.storage.local.set({ subscriptionCache: updatedCache });
+    }
+
+    /**
+     * Download a subscribed rule list unless it is unchanged since the
+     * cached copy, and return the new cache entry
+     */
+    async fetchSubscription(url, cached) {
+        const lastChecked = Date.now();
+
+        try {
+            const headers = {};
+            if (cached.etag) {
+                headers["If-None-Match"] = cached.etag;
+            }
+            if (cached.lastModified) {
+                headers["If-Modified-Since"] = cached.lastModified;
+            }
+
+            const response = await fetch(url, { headers, cache: "no-store" });
+
+            if (response.status === 304) {
+                return { ...cached, lastChecked, lastError: null };
+            }
+            if (!response.ok) {
+                return {
+                    ...cached,
+                    lastChecked,
+                    lastError: `HTTP ${response.status}`,
+                };
+            }
+
+            const { rules, skipped } = parseRuleList(await response.text());
+            if (rules.length === 0) {
+                return {
+                    ...cached,
+                    lastChecked,
+                    lastError: "The list contains no supported rules",
+                };
+            }
+
+            return {
+                rules,
+                skippedCount: skipped.length,
+                etag: response.headers.get("ETag"),
+                lastModified: response.headers.get("Last-Modified"),
+                lastUpdated: lastChecked,
+                lastChecked,
+                lastError: null,
+            };
+        } catch (error) {
+            return { ...cached, lastChecked, lastError: error.message };
+        }
+    }
+
     /**
      * Initialize the current active tab
      */
@@ -101,6 +295,18 @@ class CleanURLsBackground {
             this.handleStorageChange(changes, namespace);
         });
 
+        // Handle "Copy clean link" context menu clicks
+        chrome.contextMenus.onClicked.addListener((info, tab) => {
+            this.handleContextMenuClick(info, tab);
+        });
+
+        // Refresh subscribed rule lists on schedule
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === SUBSCRIPTION_ALARM) {
+                this.refreshSubscriptions();
+            }
+        });
+
         // Handle tab updates
         chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
             this.handleTabUpdate(tabId, changeInfo, tab);
@@ -129,6 +335,9 @@ class CleanURLsBackground {
      * Handle extension install/update events
      */
     async handleInstalled(details) {
+        // Context menu entries persist across restarts, but not updates
+        this.createContextMenus();
+
         switch (details.reason) {
             case "install":
                 // Open options page on first install
@@ -138,48 +347,127 @@ class CleanURLsBackground {
                 break;
 
             case "update":
-                // Handle updates if needed
-                const currentVersion = chrome.runtime.getManifest().version;
+                // The stored rules and settings may predate this version
+                await this.migrateSettings();
                 break;
         }
     }
 
+    /**
+     * Register the context menu entries for copying clean URLs
+     */
+    createContextMenus() {
+        chrome.contextMenus.removeAll(() => {
+            chrome.contextMenus.create({
+                id: CONTEXT_MENU_COPY_LINK,
+                title: "Copy clean link",
+                contexts: ["link"],
+            });
+            chrome.contextMenus.create({
+                id: CONTEXT_MENU_COPY_PAGE,
+                title: "Copy clean link to this page",
+                contexts: ["page"],
+            });
+        });
+    }
+
+    /**
+     * Clean the URL with the rules scoped to the page the link is on, and
+     * have the content script of the clicked frame copy it
+     */
+    async handleContextMenuClick(info, tab) {
+        if (!tab?.id) return;
+
+        const isLink = info.menuItemId === CONTEXT_MENU_COPY_LINK;
+        if (!isLink && info.menuItemId !== CONTEXT_MENU_COPY_PAGE) return;
+
+        const url = isLink ? info.linkUrl : info.pageUrl;
+        let pageHost;
+        try {
+            pageHost = new URL((isLink && info.frameUrl) || info.pageUrl)
+                .hostname;
+        } catch (error) {
+            // No page to scope the rules to
+        }
+
+        const ruleEngine = new RuleEngine(await this.getEffectiveRules());
+        const result = ruleEngine.cleanUrl(url, { pageHost });
+
+        try {
+            await chrome.tabs.sendMessage(
+                tab.id,
+                { action: "copyCleanUrl", url, result },
+                { frameId: isLink ? info.frameId : 0 }
+            );
+        } catch (error) {
+            // Pages without content script, such as the browser's own pages
+        }
+    }
+
     /**
      * Handle storage changes
      */
     async handleStorageChange(changes, namespace) {
-        if (namespace === "sync") {
+        // Subscribed lists changed: download the new ones, drop the old ones
+        if (namespace === "sync" && changes.subscriptions) {
+            this.refreshSubscriptions();
+        }
+
+        // Refreshes that only update the check time change no rules
+        const subscriptionRulesChanged =
+            namespace === "local" &&
+            changes.subscriptionCache &&
+            this.getCachedRulesKey(changes.subscriptionCache.oldValue) !==
+                this.getCachedRulesKey(changes.subscriptionCache.newValue);
+
+        const storedRulesChanged = haveStoredRulesChanged(changes, namespace);
+
+        if (
+            namespace === "sync" ||
+            subscriptionRulesChanged ||
+            storedRulesChanged
+        ) {
             // Get current state from storage to ensure we have the latest values
-            const { rules, showBadge } = await chrome.storage.sync.get({
-                rules: [],
+            const { showBadge, allowlist } = await chrome.storage.sync.get({
                 showBadge: true,
+                allowlist: [],
             });
+            const rulesChanged =
+                storedRulesChanged ||
+                changes.enabledPacks ||
+                subscriptionRulesChanged;
 
             // Always update badge when storage changes
-            if (changes.rules || changes.showBadge) {
+            if (rulesChanged || changes.showBadge) {
                 const currentTabCount = this.currentActiveTabId
                     ? this.tabCleanedLinks.get(this.currentActiveTabId) || 0
                     : 0;
-                this.updateBadge(currentTabCount, showBadge);
+                this.updateBadge(
+                    currentTabCount,
+                    showBadge,
+                    this.pausedTabs.has(this.currentActiveTabId)
+                );
             }
 
-            // Notify all content scripts about rule changes
-            if (changes.rules) {
+            // Rebuild navigation redirects so changes apply right away
+            if (rulesChanged || changes.allowlist) {
+                await this.updateRedirectRules(
+                    await this.getEffectiveRules(),
+                    allowlist
+                );
+            }
+
+            // Content scripts follow the rule snapshot
+            if (
+                rulesChanged ||
+                changes.allowlist ||
+                changes.cleanOnCopy ||
+                changes.cleanHistory ||
+                changes.historyExcludedSites ||
+                changes.urlTargets
+            ) {
                 try {
-                    const tabs = await chrome.tabs.query({});
-                    for (const tab of tabs) {
-                        if (
-                            tab.url &&
-                            (tab.url.startsWith("http") ||
-                                tab.url.startsWith("https"))
-                        ) {
-                            chrome.tabs
-                                .sendMessage(tab.id, { action: "reloadConfig" })
-                                .catch(() => {
-                                    // Ignore errors for tabs without content script
-                                });
-                        }
-                    }
+                    await this.updateRuleSnapshot();
                 } catch (error) {
                     // Silent error handling
                 }
@@ -187,10 +475,430 @@ class CleanURLsBackground {
         }
     }
 
+    /**
+     * Build the snapshot of everything content scripts clean pages with:
+     * the effective rules, without those that do not compile, the URL
+     * targets and the per-site settings. The version stamp lets content
+     * scripts detect snapshots left by another version of the extension
+     */
+    async buildRuleSnapshot() {
+        const settings = await chrome.storage.sync.get({
+            allowlist: [],
+            cleanOnCopy: false,
+            cleanHistory: false,
+            historyExcludedSites: [],
+            urlTargets: DEFAULT_URL_TARGETS,
+        });
+        const rules = await this.getEffectiveRules();
+
+        return {
+            version: RULE_SNAPSHOT_VERSION,
+            extensionVersion: chrome.runtime.getManifest().version,
+            rules: rules.filter(isCompilableRule),
+            ...settings,
+        };
+    }
+
+    /**
+     * Rebuild the rule snapshot content scripts read from session storage
+     * on start. Returns the new snapshot
+     */
+    async updateRuleSnapshot() {
+        const ruleSnapshot = await this.buildRuleSnapshot();
+        await chrome.storage.session.set({ ruleSnapshot });
+        return ruleSnapshot;
+    }
+
+    /**
+     * Serialize the rules of a subscription cache for comparison
+     */
+    getCachedRulesKey(subscriptionCache = {}) {
+        return JSON.stringify(
+            Object.entries(subscriptionCache).map(([url, entry]) => [
+                url,
+                entry.rules,
+            ])
+        );
+    }
+
+    /**
+     * Rebuild the declarativeNetRequest redirect rules from the stored rules.
+     * Updates run one at a time, so they never remove each other's rules.
+     * The outcome is kept in local storage for the options page; when Chrome
+     * refuses the new rules, the old ones are removed rather than left to
+     * strip parameters the rules no longer remove
+     */
+    updateRedirectRules(rules, allowlist = []) {
+        this.redirectRulesQueue = this.redirectRulesQueue
+            .then(async () => {
+                const existingRules =
+                    await chrome.declarativeNetRequest.getDynamicRules();
+                const removeRuleIds = existingRules.map((rule) => rule.id);
+                let redirectRulesStatus;
+
+                try {
+                    const { addRules, skippedRuleCount } =
+                        await this.buildRedirectRules(rules, allowlist);
+                    await chrome.declarativeNetRequest.updateDynamicRules({
+                        removeRuleIds,
+                        addRules,
+                    });
+                    redirectRulesStatus = {
+                        updatedAt: Date.now(),
+                        ruleCount: addRules.length,
+                        skippedRuleCount,
+                        error: null,
+                    };
+                } catch (error) {
+                    await chrome.declarativeNetRequest.updateDynamicRules({
+                        removeRuleIds,
+                    });
+                    redirectRulesStatus = {
+                        updatedAt: Date.now(),
+                        ruleCount: 0,
+                        skippedRuleCount: 0,
+                        error: error.message,
+                    };
+                }
+
+                await chrome.storage.local.set({ redirectRulesStatus });
+            })
+            .catch(() => {
+                // Silent error handling
+            });
+        return this.redirectRulesQueue;
+    }
+
+    /**
+     * Convert removal rules into redirects that strip matching query
+     * parameters from main document and subframe navigations. Names exact
+     * rules spell out are removed with queryTransform; other patterns get
+     * regex redirects, each dropping one parameter, and the redirected
+     * request is matched again until no tracked parameter is left. Domain
+     * scopes are checked against the request, exclusions also against the
+     * page that started it. Allowlisted sites are excluded from every
+     * redirect, and so are the sites where a keep rule, or a replace rule
+     * that runs first, claims a parameter. Returns the redirect rules and
+     * how many removal rules were left to the content script as they
+     * exceed Chrome's rule limits
+     */
+    async buildRedirectRules(rules, allowlist = []) {
+        const regexRules = [];
+        const paramRules = [];
+        let skippedRuleCount = 0;
+
+        // Wildcards in the middle of an allowlist entry cannot be expressed
+        const allowedDomains = allowlist
+            .map((domain) => this.toRequestDomains([domain]))
+            .filter(Boolean)
+            .flat();
+
+        // The order the rule engine applies the rules in
+        const orderedRules = [...rules].sort(
+            (a, b) => (b.priority || 0) - (a.priority || 0)
+        );
+        const keepRules = rules.filter((rule) => rule.type === "keep");
+
+        for (const [index, rule] of orderedRules.entries()) {
+            // Replacements, unwrapping, keep rules and anything but
+            // parameter names are left to the content script
+            if (
+                !rule.pattern ||
+                rule.replacement ||
+                rule.type === "unwrap" ||
+                rule.type === "keep" ||
+                (rule.target && rule.target !== "name")
+            ) {
+                continue;
+            }
+
+            // Replace rules that run first keep the parameters they match
+            const claimingRules = orderedRules
+                .slice(0, index)
+                .filter((earlierRule) => this.isClaimingRule(earlierRule));
+            const literalNames = rule.exact ? getLiteralNames(rule) : [];
+            const name = this.toParamNameRegex(getRuleSource(rule));
+            const domains = this.toRequestDomains(rule.domains);
+            const excludeDomains = this.toRequestDomains(rule.excludeDomains);
+            const protectedDomains = this.getProtectedDomains(rule, [
+                ...keepRules,
+                ...claimingRules,
+            ]);
+            if (
+                (!name && literalNames.length === 0) ||
+                !domains ||
+                !excludeDomains ||
+                !protectedDomains
+            ) {
+                continue;
+            }
+
+            const domainConditions = {};
+            if (domains.length > 0) {
+                domainConditions.requestDomains = domains;
+            }
+            const excludedDomains = [
+                ...excludeDomains,
+                ...protectedDomains,
+                ...allowedDomains,
+            ];
+            if (excludedDomains.length > 0) {
+                domainConditions.excludedRequestDomains = excludedDomains;
+                domainConditions.excludedInitiatorDomains = excludedDomains;
+            }
+
+            if (literalNames.length > 0) {
+                if (
+                    regexRules.length +
+                        paramRules.length +
+                        literalNames.length >
+                    MAX_REDIRECT_RULES
+                ) {
+                    skippedRuleCount++;
+                    continue;
+                }
+
+                // removeParams matches names as written. The filter makes
+                // the rule skip URLs without the parameter, which would
+                // otherwise be redirected to themselves
+                for (const literalName of literalNames) {
+                    paramRules.push({
+                        priority: PARAM_REDIRECT_PRIORITY,
+                        action: {
+                            type: "redirect",
+                            redirect: {
+                                transform: {
+                                    queryTransform: {
+                                        removeParams: [literalName],
+                                    },
+                                },
+                            },
+                        },
+                        condition: {
+                            urlFilter: `^${literalName}=`,
+                            resourceTypes: REDIRECT_RESOURCE_TYPES,
+                            ...domainConditions,
+                        },
+                    });
+                }
+                continue;
+            }
+
+            const isCaseSensitive = !(rule.flags ?? "i").includes("i");
+            const substitutions = [
+                // Parameter followed by others: drop it and its "&"
+                {
+                    regexFilter: `^([^?#]*\\?(?:[^&#]*&)*)${name}(?:=[^&#]*)?&(.*)$`,
+                    regexSubstitution: "\\1\\2",
+                },
+                // Last of several parameters: drop it and the "&" before it
+                {
+                    regexFilter: `^([^?#]*\\?[^#]*)&${name}(?:=[^&#]*)?$`,
+                    regexSubstitution: "\\1",
+                },
+                // Only parameter: drop the whole query string
+                {
+                    regexFilter: `^([^?#]*)\\?${name}(?:=[^&#]*)?$`,
+                    regexSubstitution: "\\1",
+                },
+            ];
+
+            if (
+                regexRules.length + substitutions.length >
+                    MAX_REGEX_REDIRECT_RULES ||
+                regexRules.length + paramRules.length + substitutions.length >
+                    MAX_REDIRECT_RULES
+            ) {
+                skippedRuleCount++;
+                continue;
+            }
+
+            for (const { regexFilter, regexSubstitution } of substitutions) {
+                const { isSupported } =
+                    await chrome.declarativeNetRequest.isRegexSupported({
+                        regex: regexFilter,
+                        isCaseSensitive: isCaseSensitive,
+                    });
+                if (!isSupported) continue;
+
+                regexRules.push({
+                    priority: REGEX_REDIRECT_PRIORITY,
+                    action: {
+                        type: "redirect",
+                        redirect: { regexSubstitution },
+                    },
+                    condition: {
+                        regexFilter,
+                        isUrlFilterCaseSensitive: isCaseSensitive,
+                        resourceTypes: REDIRECT_RESOURCE_TYPES,
+                        ...domainConditions,
+                    },
+                });
+            }
+        }
+
+        return {
+            addRules: [...regexRules, ...paramRules].map(
+                (redirectRule, index) => ({ id: index + 1, ...redirectRule })
+            ),
+            skippedRuleCount,
+        };
+    }
+
+    /**
+     * Check whether a rule replaces the parameters it matches and stops
+     * there, keeping them from the removal rules after it
+     */
+    isClaimingRule(rule) {
+        return (
+            (rule.type || "param") === "param" &&
+            Boolean(rule.replacement) &&
+            !rule.continue &&
+            rule.target !== "path" &&
+            rule.target !== "hash"
+        );
+    }
+
+    /**
+     * Check whether two rules may match the same parameter name. Names one
+     * rule spells out are tested against the other; rules matching values,
+     * or that spell out no names, may match any parameter
+     */
+    mayMatchSameName(rule, otherRule) {
+        const compile = (nameRule) =>
+            new RegExp(
+                getRuleSource(nameRule),
+                (nameRule.flags ?? "i").replace(/[gy]/g, "")
+            );
+        const isNameRule = (nameRule) =>
+            !nameRule.target || nameRule.target === "name";
+
+        if (!isNameRule(rule) || !isNameRule(otherRule)) return true;
+
+        const names = rule.exact ? getLiteralNames(rule) : [];
+        if (names.length > 0) {
+            const pattern = compile(otherRule);
+            return names.some((name) => pattern.test(name));
+        }
+
+        const otherNames = otherRule.exact ? getLiteralNames(otherRule) : [];
+        if (otherNames.length > 0) {
+            const pattern = compile(rule);
+            return otherNames.some((name) => pattern.test(name));
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the domains where keep rules or earlier replace rules claim
+     * parameters a removal rule matches, so its redirect leaves them to the
+     * content script. Returns null when a rule claims them everywhere
+     */
+    getProtectedDomains(rule, protectingRules) {
+        const protectedDomains = [];
+
+        for (const protectingRule of protectingRules) {
+            if (!this.mayMatchSameName(rule, protectingRule)) continue;
+
+            const domains = this.toRequestDomains(protectingRule.domains);
+            if (
+                !domains ||
+                domains.length === 0 ||
+                protectingRule.excludeDomains?.length > 0
+            ) {
+                return null;
+            }
+            protectedDomains.push(...domains);
+        }
+
+        return protectedDomains;
+    }
+
+    /**
+     * Turn a rule's domain patterns into declarativeNetRequest domains, which
+     * always include subdomains. Returns null when a wildcard other than a
+     * leading "*." cannot be expressed that way
+     */
+    toRequestDomains(domains = []) {
+        const requestDomains = [];
+
+        for (const domain of domains) {
+            const name = domain.trim().toLowerCase().replace(/^\*\./, "");
+            if (name.includes("*")) return null;
+            requestDomains.push(name);
+        }
+
+        return requestDomains;
+    }
+
+    /**
+     * Turn a rule pattern into a regex that matches a whole parameter name
+     * inside a URL. Like the content script, an unanchored pattern matches
+     * anywhere in the name, and "." never crosses into the next parameter.
+     * Groups become non-capturing so they don't shift the substitution
+     * groups. Returns null for patterns that cannot be expressed this way.
+     */
+    toParamNameRegex(pattern) {
+        let source = pattern;
+        let prefix = `${PARAM_NAME_CHAR}*`;
+        let suffix = `${PARAM_NAME_CHAR}*`;
+
+        if (source.startsWith("^")) {
+            source = source.slice(1);
+            prefix = "";
+        }
+        if (source.endsWith("$") && !source.endsWith("\\$")) {
+            source = source.slice(0, -1);
+            suffix = "";
+        }
+
+        let result = "";
+        let inClass = false;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (char === "\\") {
+                result += char + (source[i + 1] || "");
+                i++;
+            } else if (inClass) {
+                if (char === "]") inClass = false;
+                result += char;
+            } else if (char === "[") {
+                inClass = true;
+                result += char;
+            } else if (char === "(" && source[i + 1] !== "?") {
+                result += "(?:";
+            } else if (
+                char === "(" &&
+                /^\?<[A-Za-z_$]/.test(source.slice(i + 1))
+            ) {
+                // Named group
+                result += "(?:";
+                i = source.indexOf(">", i);
+            } else if (char === ".") {
+                result += PARAM_NAME_CHAR;
+            } else if (char === "^" || char === "$") {
+                // Anchors in the middle of a pattern have no URL equivalent
+                return null;
+            } else {
+                result += char;
+            }
+        }
+
+        return `${prefix}(?:${result})${suffix}`;
+    }
+
     /**
      * Handle tab update events
      */
     handleTabUpdate(tabId, changeInfo, tab) {
+        // A tab pause only lasts until the page is reloaded
+        if (changeInfo.status === "loading") {
+            this.pausedTabs.delete(tabId);
+            this.removeTabSessionRules(tabId, { pauseOnly: true });
+        }
+
         // Only process when the tab is completely loaded
         if (changeInfo.status === "complete" && tab.url) {
             // Inject content script if needed (for dynamically created tabs)
@@ -216,7 +924,17 @@ class CleanURLsBackground {
             try {
                 await chrome.scripting.executeScript({
                     target: { tabId },
-                    files: ["content_script.js"],
+                    files: [
+                        "rule_catalog.js",
+                        "rule_engine.js",
+                        "cleaning_pipeline.js",
+                        "content_script.js",
+                    ],
+                });
+                await chrome.scripting.executeScript({
+                    target: { tabId },
+                    files: ["main_world.js"],
+                    world: "MAIN",
                 });
             } catch (injectionError) {
                 // Silent error handling
@@ -236,7 +954,11 @@ class CleanURLsBackground {
         });
         const cleanedLinksCount =
             this.tabCleanedLinks.get(activeInfo.tabId) || 0;
-        this.updateBadge(cleanedLinksCount, showBadge);
+        this.updateBadge(
+            cleanedLinksCount,
+            showBadge,
+            this.pausedTabs.has(activeInfo.tabId)
+        );
     }
 
     /**
@@ -245,6 +967,104 @@ class CleanURLsBackground {
     handleTabRemoved(tabId) {
         // Clean up stored data for removed tab
         this.tabCleanedLinks.delete(tabId);
+        this.pausedTabs.delete(tabId);
+        this.removeTabSessionRules(tabId);
+    }
+
+    /**
+     * Let navigations of a tab to a URL restored from its cleaning log past
+     * the redirect rules, until the tab is closed
+     */
+    allowRestoredUrl(tabId, url) {
+        const update = this.redirectRulesQueue.then(async () => {
+            const sessionRules =
+                await chrome.declarativeNetRequest.getSessionRules();
+            const id = Math.max(0, ...sessionRules.map((rule) => rule.id)) + 1;
+
+            await chrome.declarativeNetRequest.updateSessionRules({
+                addRules: [
+                    {
+                        id,
+                        priority: RESTORED_URL_PRIORITY,
+                        action: { type: "allow" },
+                        condition: {
+                            urlFilter: `|${url}|`,
+                            tabIds: [tabId],
+                            resourceTypes: REDIRECT_RESOURCE_TYPES,
+                        },
+                    },
+                ],
+            });
+        });
+        this.redirectRulesQueue = update.catch(() => {
+            // Reported to the caller
+        });
+        return update;
+    }
+
+    /**
+     * Let every navigation of a paused tab past the redirect rules, until
+     * the tab loads another page
+     */
+    allowPausedTab(tabId) {
+        const update = this.redirectRulesQueue.then(async () => {
+            const sessionRules =
+                await chrome.declarativeNetRequest.getSessionRules();
+            const isPaused = sessionRules.some(
+                (rule) =>
+                    rule.condition.tabIds?.includes(tabId) &&
+                    !rule.condition.urlFilter
+            );
+            if (isPaused) return;
+
+            const id = Math.max(0, ...sessionRules.map((rule) => rule.id)) + 1;
+            await chrome.declarativeNetRequest.updateSessionRules({
+                addRules: [
+                    {
+                        id,
+                        priority: PAUSED_TAB_PRIORITY,
+                        action: { type: "allow" },
+                        condition: {
+                            tabIds: [tabId],
+                            resourceTypes: REDIRECT_RESOURCE_TYPES,
+                        },
+                    },
+                ],
+            });
+        });
+        this.redirectRulesQueue = update.catch(() => {
+            // Reported to the caller
+        });
+        return update;
+    }
+
+    /**
+     * Drop the session rules letting a tab's navigations through: all of
+     * them once the tab is closed, only the one of a paused tab when it
+     * loads another page
+     */
+    removeTabSessionRules(tabId, { pauseOnly = false } = {}) {
+        this.redirectRulesQueue = this.redirectRulesQueue
+            .then(async () => {
+                const sessionRules =
+                    await chrome.declarativeNetRequest.getSessionRules();
+                const removeRuleIds = sessionRules
+                    .filter(
+                        (rule) =>
+                            rule.condition.tabIds?.includes(tabId) &&
+                            (!pauseOnly || !rule.condition.urlFilter)
+                    )
+                    .map((rule) => rule.id);
+
+                if (removeRuleIds.length > 0) {
+                    await chrome.declarativeNetRequest.updateSessionRules({
+                        removeRuleIds,
+                    });
+                }
+            })
+            .catch(() => {
+                // Silent error handling
+            });
     }
 
     /**
@@ -253,11 +1073,8 @@ class CleanURLsBackground {
     async handleMessage(request, sender, sendResponse) {
         try {
             switch (request.action) {
-                case "getRules":
-                    const { rules } = await chrome.storage.sync.get({
-                        rules: [],
-                    });
-                    sendResponse({ rules });
+                case "getRuleSnapshot":
+                    sendResponse(await this.updateRuleSnapshot());
                     break;
 
                 case "getStats":
@@ -277,7 +1094,11 @@ class CleanURLsBackground {
                     const currentTabCount = this.currentActiveTabId
                         ? this.tabCleanedLinks.get(this.currentActiveTabId) || 0
                         : 0;
-                    this.updateBadge(currentTabCount, request.showBadge);
+                    this.updateBadge(
+                        currentTabCount,
+                        request.showBadge,
+                        this.pausedTabs.has(this.currentActiveTabId)
+                    );
                     sendResponse({ success: true });
                     break;
 
@@ -287,13 +1108,26 @@ class CleanURLsBackground {
                     if (tabId) {
                         this.tabCleanedLinks.set(tabId, request.count || 0);
 
+                        // The top frame decides whether the tab is paused
+                        if (sender.frameId === 0) {
+                            if (request.paused) {
+                                this.pausedTabs.add(tabId);
+                            } else {
+                                this.pausedTabs.delete(tabId);
+                            }
+                        }
+
                         // Only update badge if this is the currently active tab
                         if (tabId === this.currentActiveTabId) {
                             const { showBadge: badgeEnabled } =
                                 await chrome.storage.sync.get({
                                     showBadge: true,
                                 });
-                            this.updateBadge(request.count || 0, badgeEnabled);
+                            this.updateBadge(
+                                request.count || 0,
+                                badgeEnabled,
+                                this.pausedTabs.has(tabId)
+                            );
                         }
                     }
                     sendResponse({ success: true });
@@ -306,12 +1140,46 @@ class CleanURLsBackground {
                         await chrome.storage.sync.get({
                             showBadge: true,
                         });
-                    this.updateBadge(0, badgeShow);
+                    this.updateBadge(
+                        0,
+                        badgeShow,
+                        this.pausedTabs.has(this.currentActiveTabId)
+                    );
+                    sendResponse({ success: true });
+                    break;
+
+                case "recordStats":
+                    await this.recordStats(request.domain, request.cleanedUrls);
+                    sendResponse({ success: true });
+                    break;
+
+                case "resetStats":
+                    await this.resetStats();
                     sendResponse({ success: true });
                     break;
 
                 case "resetToDefaults":
-                    await chrome.storage.sync.set({ rules: DEFAULT_RULES });
+                    // The popup asks before resetting
+                    await saveStoredRules(DEFAULT_RULES, {
+                        replaceOtherDevice: true,
+                    });
+                    await chrome.storage.sync.set({ enabledPacks: {} });
+                    sendResponse({ success: true });
+                    break;
+
+                case "pauseTab":
+                    this.pausedTabs.add(request.tabId);
+                    await this.allowPausedTab(request.tabId);
+                    sendResponse({ success: true });
+                    break;
+
+                case "allowRestoredUrl":
+                    await this.allowRestoredUrl(sender.tab.id, request.url);
+                    sendResponse({ success: true });
+                    break;
+
+                case "refreshSubscriptions":
+                    await this.refreshSubscriptions();
                     sendResponse({ success: true });
                     break;
 
@@ -322,6 +1190,13 @@ class CleanURLsBackground {
                     sendResponse({ success: true });
                     break;
 
+                case "openStats":
+                    chrome.tabs.create({
+                        url: chrome.runtime.getURL("stats.html"),
+                    });
+                    sendResponse({ success: true });
+                    break;
+
                 default:
                     sendResponse({ error: "Unknown action" });
             }
@@ -333,9 +1208,13 @@ class CleanURLsBackground {
     /**
      * Update extension badge with cleaned links count
      */
-    updateBadge(cleanedLinksCount, showBadge = true) {
+    updateBadge(cleanedLinksCount, showBadge = true, paused = false) {
         try {
-            if (showBadge) {
+            if (paused) {
+                // Paused tabs are flagged even when the counter is hidden
+                chrome.action.setBadgeText({ text: "OFF" });
+                chrome.action.setBadgeBackgroundColor({ color: "#F59E0B" });
+            } else if (showBadge) {
                 const text =
                     cleanedLinksCount > 0 ? cleanedLinksCount.toString() : "";
                 const color = cleanedLinksCount > 0 ? "#4CAF50" : "#9E9E9E";
@@ -352,22 +1231,45 @@ class CleanURLsBackground {
         }
     }
 
+    /**
+     * Get the custom rules, or the default ones when there are none,
+     * combined with the subscribed rule lists and the enabled rule packs
+     */
+    async getEffectiveRules() {
+        const rules = await loadStoredRules();
+        const { enabledPacks, subscriptions } = await chrome.storage.sync.get({
+            enabledPacks: {},
+            subscriptions: [],
+        });
+        const { subscriptionCache } = await chrome.storage.local.get({
+            subscriptionCache: {},
+        });
+        return getEffectiveRules(
+            rules.length > 0 ? rules : DEFAULT_RULES,
+            enabledPacks,
+            getSubscriptionRules(subscriptions, subscriptionCache)
+        );
+    }
+
     /**
      * Get extension statistics
      */
     async getExtensionStats() {
         try {
-            const { rules } = await chrome.storage.sync.get({ rules: [] });
+            const rules = await this.getEffectiveRules();
             const tabs = await chrome.tabs.query({});
             const activeTabs = tabs.filter(
                 (tab) =>
                     tab.url &&
                     (tab.url.startsWith("http") || tab.url.startsWith("https"))
             ).length;
+            const { stats } = await chrome.storage.local.get({ stats: null });
 
             return {
                 rulesCount: rules.length,
                 activeTabs,
+                totalCleaned: stats?.total || 0,
+                todayCleaned: stats?.days[getStatsDayKey(new Date())] || 0,
                 version: chrome.runtime.getManifest().version,
             };
         } catch (error) {
@@ -375,6 +1277,97 @@ class CleanURLsBackground {
         }
     }
 
+    /**
+     * Add URLs cleaned on a site to the cleaning statistics kept in local
+     * storage. Updates run one after another, so none of them gets lost
+     */
+    recordStats(domain, cleanedUrls = []) {
+        this.statsQueue = this.statsQueue
+            .then(async () => {
+                const { stats: storedStats } = await chrome.storage.local.get({
+                    stats: null,
+                });
+                const stats = storedStats || {
+                    since: Date.now(),
+                    total: 0,
+                    days: {},
+                    rules: {},
+                    domains: {},
+                    params: {},
+                };
+                const day = getStatsDayKey(new Date());
+
+                stats.total += cleanedUrls.length;
+                stats.days[day] = (stats.days[day] || 0) + cleanedUrls.length;
+                if (domain) {
+                    stats.domains[domain] =
+                        (stats.domains[domain] || 0) + cleanedUrls.length;
+                }
+
+                for (const changes of cleanedUrls) {
+                    for (const { rule, param } of changes) {
+                        if (typeof rule?.pattern !== "string") continue;
+
+                        const key = getRuleStatsKey(rule);
+                        stats.rules[key] = {
+                            ...rule,
+                            count: (stats.rules[key]?.count || 0) + 1,
+                        };
+                        if (param) {
+                            stats.params[param] =
+                                (stats.params[param] || 0) + 1;
+                        }
+                    }
+                }
+
+                stats.days = Object.fromEntries(
+                    Object.entries(stats.days)
+                        .sort(([a], [b]) => a.localeCompare(b))
+                        .slice(-STATS_HISTORY_DAYS)
+                );
+                stats.rules = this.pruneStatsCounts(
+                    stats.rules,
+                    (entry) => entry.count
+                );
+                stats.domains = this.pruneStatsCounts(stats.domains);
+                stats.params = this.pruneStatsCounts(stats.params);
+
+                await chrome.storage.local.set({ stats });
+            })
+            .catch(() => {
+                // Silent error handling
+            });
+
+        return this.statsQueue;
+    }
+
+    /**
+     * Keep the most counted entries of a statistics table
+     */
+    pruneStatsCounts(counts, getCount = (count) => count) {
+        const entries = Object.entries(counts);
+        if (entries.length <= STATS_MAX_ENTRIES) return counts;
+
+        return Object.fromEntries(
+            entries
+                .sort(([, a], [, b]) => getCount(b) - getCount(a))
+                .slice(0, STATS_MAX_ENTRIES)
+        );
+    }
+
+    /**
+     * Clear the cleaning statistics once pending updates are saved
+     */
+    resetStats() {
+        this.statsQueue = this.statsQueue
+            .then(() => chrome.storage.local.remove("stats"))
+            .catch(() => {
+                // Silent error handling
+            });
+
+        return this.statsQueue;
+    }
+
     /**
      * Get current tab statistics
      */
@@ -0,0 +1,429 @@
+/**
+ * CleanURLs Benchmark Page
+ * Measures how fast the rule engine cleans the links of a huge page, with
+ * and without the name index and the URL cache the content script uses,
+ * and how an infinite-scroll feed is cleaned with and without idle-time
+ * batching and the debounced badge updates
+ */
+
+// Sites the generated links point to
+const BENCHMARK_HOSTS = [
+    "www.example.com",
+    "news.example.org",
+    "www.youtube.com",
+    "www.amazon.com",
+    "shop.example.net",
+];
+
+// Parameters sites need, which every rule has to leave alone
+const CONTENT_PARAMS = ["id", "page", "q", "sort", "lang"];
+
+// Tracking parameters removed by the default rules and packs
+const TRACKING_PARAMS = [
+    "utm_source",
+    "utm_campaign",
+    "fbclid",
+    "gclid",
+    "si",
+    "tag",
+    "mc_eid",
+    "_hsenc",
+    "igshid",
+    "msclkid",
+];
+
+// How many links each page of the simulated infinite-scroll feed adds
+const SCROLL_PAGE_SIZE = 200;
+
+let effectiveRules = [];
+
+// Generate a link with one to three parameters a site needs, and a
+// tracking parameter for every third link. The same index always gives
+// the same link
+function generateLink(index) {
+    const host = BENCHMARK_HOSTS[index % BENCHMARK_HOSTS.length];
+    const params = new URLSearchParams();
+
+    for (let i = 0; i <= index % 3; i++) {
+        params.set(
+            CONTENT_PARAMS[(index + i) % CONTENT_PARAMS.length],
+            String(index)
+        );
+    }
+    if (index % 3 === 0) {
+        params.set(
+            TRACKING_PARAMS[(index / 3) % TRACKING_PARAMS.length],
+            `t${index}`
+        );
+    }
+
+    return `https://${host}/item/${index}?${params}`;
+}
+
+// Generate the links of a page, repeating the distinct ones like a feed
+function generateLinks(linkCount, distinctCount) {
+    return Array.from({ length: linkCount }, (_, index) =>
+        generateLink(index % distinctCount)
+    );
+}
+
+// Clean every link, looking up repeated links in the cache when given
+// one. Returns the cleaned URLs
+function cleanLinks(engine, links, cache = null) {
+    return links.map((link) => {
+        let result = cache?.get(link);
+        if (!result) {
+            result = engine.cleanUrl(link, { pageHost: BENCHMARK_HOSTS[0] });
+            cache?.set(link, result);
+        }
+        return result.url;
+    });
+}
+
+// Time a run in milliseconds, keeping the fastest of several rounds
+function measure(run, rounds) {
+    let time = Infinity;
+    let output = null;
+
+    for (let round = 0; round < rounds; round++) {
+        const start = performance.now();
+        output = run();
+        time = Math.min(time, performance.now() - start);
+    }
+
+    return { time, output };
+}
+
+// Render the timing of every pipeline, compared with per-rule matching
+function renderResults(results, linkCount) {
+    const baseline = results[0].time;
+
+    document.getElementById("results").innerHTML = `
+        <table class="results-table">
+            <thead>
+                <tr>
+                    <th>Pipeline</th>
+                    <th>Time</th>
+                    <th>Links per Second</th>
+                    <th>Speedup</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results
+                    .map(
+                        ({ name, time }) => `
+                            <tr>
+                                <td>${escapeHtml(name)}</td>
+                                <td>${time.toFixed(1)} ms</td>
+                                <td>${Math.round(
+                                    (linkCount / time) * 1000
+                                ).toLocaleString()}</td>
+                                <td>${(baseline / time).toFixed(1)}×</td>
+                            </tr>
+                        `
+                    )
+                    .join("")}
+            </tbody>
+        </table>
+    `;
+
+    const fastest = Math.min(...results.map(({ time }) => time));
+    document.getElementById("speedup").textContent = `${(
+        baseline / fastest
+    ).toFixed(1)}×`;
+    document.getElementById("same-results").textContent = results.every(
+        ({ output }) => output.every((url, i) => url === results[0].output[i])
+    )
+        ? "✅"
+        : "❌";
+}
+
+// Read a positive whole number from a setup input
+function getInputNumber(id) {
+    return Math.max(1, parseInt(document.getElementById(id).value, 10) || 1);
+}
+
+// Clean added links in the observer callback, sending a badge update for
+// every link, as the content script did before batching
+function createImmediatePipeline({
+    cleanLink,
+    sendBadgeUpdate,
+    startTask,
+    endTask,
+}) {
+    return (addedLinks) => {
+        startTask();
+        for (const link of addedLinks) {
+            cleanLink(link);
+            sendBadgeUpdate();
+        }
+        endTask();
+    };
+}
+
+// Queue added links and clean them while the page is idle, debouncing the
+// badge updates, with the queue and debouncer of the content script
+function createBatchedPipeline({
+    cleanLink,
+    sendBadgeUpdate,
+    startTask,
+    endTask,
+}) {
+    const badgeUpdate = new Debouncer(sendBadgeUpdate, BADGE_UPDATE_DELAY);
+    let isBatchRunning = false;
+
+    // Idle callbacks are timed from the first link they clean
+    const pendingLinks = new IdleQueue(
+        (link) => {
+            if (!isBatchRunning) {
+                isBatchRunning = true;
+                startTask();
+            }
+            cleanLink(link);
+            return 1;
+        },
+        (cleanedCount) => {
+            if (isBatchRunning) {
+                isBatchRunning = false;
+                endTask();
+            }
+            if (cleanedCount > 0) badgeUpdate.schedule();
+        }
+    );
+
+    return (addedLinks) => {
+        startTask();
+        addedLinks.forEach((link) => pendingLinks.push(link));
+        pendingLinks.schedule();
+        endTask();
+    };
+}
+
+// Add links to a hidden feed a page at a time, one task per page like a
+// user scrolling, and clean them with a pipeline as they are added.
+// Resolves to the main thread time the pipeline took, its longest task,
+// the badge messages it sent and how long until every link was clean
+async function runScrollPipeline(createPipeline, engine, links) {
+    const feed = document.createElement("div");
+    feed.hidden = true;
+    document.body.appendChild(feed);
+
+    const cache = new LRUCache(PROCESSED_URLS_LIMIT);
+    const result = { busyTime: 0, longestTask: 0, badgeMessages: 0 };
+    let taskStart = 0;
+    let cleanedCount = 0;
+    let resolveCleaned;
+    const allCleaned = new Promise((resolve) => (resolveCleaned = resolve));
+
+    const handleAddedLinks = createPipeline({
+        cleanLink(link) {
+            const [url] = cleanLinks(
+                engine,
+                [link.getAttribute("href")],
+                cache
+            );
+            link.setAttribute("href", url);
+            if (++cleanedCount === links.length) resolveCleaned();
+        },
+        sendBadgeUpdate() {
+            result.badgeMessages++;
+        },
+        startTask() {
+            taskStart = performance.now();
+        },
+        endTask() {
+            const time = performance.now() - taskStart;
+            result.busyTime += time;
+            result.longestTask = Math.max(result.longestTask, time);
+        },
+    });
+    const observer = new MutationObserver((mutations) =>
+        handleAddedLinks(
+            mutations.flatMap((mutation) => [...mutation.addedNodes])
+        )
+    );
+    observer.observe(feed, { childList: true });
+
+    const start = performance.now();
+    for (let index = 0; index < links.length; index += SCROLL_PAGE_SIZE) {
+        for (const href of links.slice(index, index + SCROLL_PAGE_SIZE)) {
+            const link = document.createElement("a");
+            link.setAttribute("href", href);
+            feed.appendChild(link);
+        }
+        await new Promise((resolve) => setTimeout(resolve));
+    }
+    await allCleaned;
+    result.cleanedAfter = performance.now() - start;
+
+    // Let the last debounced badge update go out
+    await new Promise((resolve) => setTimeout(resolve, BADGE_UPDATE_DELAY));
+    observer.disconnect();
+    feed.remove();
+
+    return result;
+}
+
+// Render how every scroll pipeline kept the page busy
+function renderScrollResults(results) {
+    document.getElementById("scroll-results").innerHTML = `
+        <table class="results-table">
+            <thead>
+                <tr>
+                    <th>Pipeline</th>
+                    <th>Longest Task</th>
+                    <th>Main Thread Time</th>
+                    <th>Badge Messages</th>
+                    <th>All Links Clean After</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results
+                    .map(
+                        ({
+                            name,
+                            longestTask,
+                            busyTime,
+                            badgeMessages,
+                            cleanedAfter,
+                        }) => `
+                            <tr>
+                                <td>${escapeHtml(name)}</td>
+                                <td>${longestTask.toFixed(1)} ms</td>
+                                <td>${busyTime.toFixed(1)} ms</td>
+                                <td>${badgeMessages.toLocaleString()}</td>
+                                <td>${cleanedAfter.toFixed(0)} ms</td>
+                            </tr>
+                        `
+                    )
+                    .join("")}
+            </tbody>
+        </table>
+    `;
+}
+
+// Clean an infinite-scroll feed of the generated links with and without
+// idle-time batching
+async function runScrollBenchmark() {
+    const runButton = document.getElementById("runScrollBenchmark");
+    const originalText = runButton.innerHTML;
+    runButton.disabled = true;
+    runButton.innerHTML = "⏳ Running...";
+
+    const links = generateLinks(
+        getInputNumber("link-count"),
+        getInputNumber("distinct-count")
+    );
+    const engine = new RuleEngine(effectiveRules);
+
+    const pipelines = [
+        {
+            name: "Clean on every mutation",
+            createPipeline: createImmediatePipeline,
+        },
+        {
+            name: "Idle-time batches, debounced badge",
+            createPipeline: createBatchedPipeline,
+        },
+    ];
+
+    const results = [];
+    for (const { name, createPipeline } of pipelines) {
+        results.push({
+            name,
+            ...(await runScrollPipeline(createPipeline, engine, links)),
+        });
+    }
+
+    renderScrollResults(results);
+    runButton.innerHTML = originalText;
+    runButton.disabled = false;
+}
+
+// Clean the generated links with every pipeline
+async function runBenchmark() {
+    const runButton = document.getElementById("runBenchmark");
+    const originalText = runButton.innerHTML;
+    runButton.disabled = true;
+    runButton.innerHTML = "⏳ Running...";
+
+    // Let the button update before the page blocks
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const linkCount = getInputNumber("link-count");
+    const rounds = getInputNumber("rounds");
+    const links = generateLinks(linkCount, getInputNumber("distinct-count"));
+
+    const unindexedEngine = new RuleEngine(effectiveRules, {
+        indexNames: false,
+    });
+    const indexedEngine = new RuleEngine(effectiveRules);
+
+    const pipelines = [
+        {
+            name: "Per-rule matching",
+            run: () => cleanLinks(unindexedEngine, links),
+        },
+        {
+            name: "Name index",
+            run: () => cleanLinks(indexedEngine, links),
+        },
+        {
+            name: "Name index and URL cache",
+            run: () =>
+                cleanLinks(
+                    indexedEngine,
+                    links,
+                    new LRUCache(PROCESSED_URLS_LIMIT)
+                ),
+        },
+    ];
+
+    const results = [];
+    for (const { name, run } of pipelines) {
+        results.push({ name, ...measure(run, rounds) });
+        await new Promise((resolve) => setTimeout(resolve));
+    }
+
+    renderResults(results, linkCount);
+    runButton.innerHTML = originalText;
+    runButton.disabled = false;
+}
+
+// Load the active rules, as pages get them
+async function loadEffectiveRules() {
+    const rules = await loadStoredRules();
+    const { enabledPacks, subscriptions } = await chrome.storage.sync.get({
+        enabledPacks: {},
+        subscriptions: [],
+    });
+    const { subscriptionCache } = await chrome.storage.local.get({
+        subscriptionCache: {},
+    });
+
+    effectiveRules = getEffectiveRules(
+        rules.length > 0 ? rules : DEFAULT_RULES,
+        enabledPacks,
+        getSubscriptionRules(subscriptions, subscriptionCache)
+    );
+
+    const engine = new RuleEngine(effectiveRules);
+    document.getElementById("rules-count").textContent =
+        engine.configRules.length +
+        engine.unwrapRules.length +
+        engine.keepRules.length;
+    document.getElementById("indexed-count").textContent =
+        engine.configRules.filter((rule) => rule.nameMatch).length;
+}
+
+// Initialize the page
+document.addEventListener("DOMContentLoaded", async () => {
+    await loadEffectiveRules();
+
+    document
+        .getElementById("runBenchmark")
+        .addEventListener("click", runBenchmark);
+    document
+        .getElementById("runScrollBenchmark")
+        .addEventListener("click", runScrollBenchmark);
+});
@@ -0,0 +1,148 @@
+/**
+ * CleanURLs Cleaning Pipeline
+ * The parts of the content script's cleaning pipeline the benchmark page
+ * measures as well: the cache of cleaning results, the queue of page
+ * changes cleaned in idle time and the debounced badge updates
+ */
+
+// How long added links may wait for an idle moment before they are cleaned
+// anyway, in milliseconds
+const MUTATION_IDLE_TIMEOUT = 200;
+
+// How long badge updates are collected before the count is sent, in
+// milliseconds
+const BADGE_UPDATE_DELAY = 500;
+
+// How many URLs the cleaning result cache holds
+const PROCESSED_URLS_LIMIT = 5000;
+
+/**
+ * Map holding a limited number of entries, dropping the least recently
+ * used one when full
+ */
+class LRUCache {
+    constructor(limit) {
+        this.limit = limit;
+        this.entries = new Map(); // Least recently used first
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get an entry, marking it as the most recently used
+     */
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    /**
+     * Add or replace an entry, dropping the least recently used ones past
+     * the limit
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Queue of items processed in batches while the page is idle. processItem
+ * returns how many links an item cleaned, and onProcessed gets the count
+ * of every batch
+ */
+class IdleQueue {
+    constructor(processItem, onProcessed) {
+        this.processItem = processItem;
+        this.onProcessed = onProcessed;
+        this.items = [];
+        this.idleCallbackId = null;
+    }
+
+    push(item) {
+        this.items.push(item);
+    }
+
+    /**
+     * Process the queued items at the next idle moment
+     */
+    schedule() {
+        if (this.idleCallbackId !== null || this.items.length === 0) {
+            return;
+        }
+
+        this.idleCallbackId = requestIdleCallback(
+            (deadline) => this.process(deadline),
+            { timeout: MUTATION_IDLE_TIMEOUT }
+        );
+    }
+
+    /**
+     * Process queued items while the page is idle, leaving the rest for
+     * the next idle moment. Once the timeout passed, or without a
+     * deadline, everything is processed
+     */
+    process(deadline = null) {
+        if (this.idleCallbackId !== null) {
+            cancelIdleCallback(this.idleCallbackId);
+            this.idleCallbackId = null;
+        }
+
+        let cleanedCount = 0;
+        let index = 0;
+        while (
+            index < this.items.length &&
+            (!deadline || deadline.didTimeout || deadline.timeRemaining() > 0)
+        ) {
+            cleanedCount += this.processItem(this.items[index++]);
+        }
+        this.items.splice(0, index);
+        this.schedule();
+
+        this.onProcessed(cleanedCount);
+    }
+
+    /**
+     * Drop the queued items
+     */
+    cancel() {
+        if (this.idleCallbackId !== null) {
+            cancelIdleCallback(this.idleCallbackId);
+            this.idleCallbackId = null;
+        }
+        this.items = [];
+    }
+}
+
+/**
+ * Run a callback once, a delay after the first of any number of calls
+ */
+class Debouncer {
+    constructor(callback, delay) {
+        this.callback = callback;
+        this.delay = delay;
+        this.timer = null;
+    }
+
+    schedule() {
+        if (this.timer) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.callback();
+        }, this.delay);
+    }
+}
@@ -3,13 +3,63 @@
  * Monitors and cleans URLs on web pages to remove tracking parameters
  */
 
+// Events and attribute shared with main_world.js to clean a URL, for
+// navigations and for History API calls
+const CLEAN_URL_EVENT = "cleanurls:clean-url";
+const CLEAN_HISTORY_URL_EVENT = "cleanurls:clean-history-url";
+const CLEAN_URL_ATTRIBUTE = "data-cleanurls-url";
+
+// Event main_world.js fires on hosts of newly attached open shadow roots
+const SHADOW_ROOT_EVENT = "cleanurls:shadow-root";
+
+// Absolute URLs inside copied text
+const URL_IN_TEXT = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+
+// How long cleaned URLs are collected before they are sent to the
+// statistics, in milliseconds
+const STATS_FLUSH_DELAY = 2000;
+
+// How many cleaned URLs the cleaning log of a page keeps
+const CLEANING_LOG_SIZE = 50;
+
 class URLCleaner {
     constructor() {
-        this.configRules = [];
+        this.ruleEngine = new RuleEngine();
+        this.urlTargets = [];
+        this.urlTargetSelector = "";
+        this.urlTargetAttributes = [];
+        this.allowlist = [];
+        this.historyExcludedSites = [];
+        this.pausedReason = null; // "site" when allowlisted, "tab" when paused
+        this.cleanOnCopy = false;
+        this.cleanHistory = false;
         this.isInitialized = false;
         this.observer = null;
-        this.processedUrls = new Set();
+        this.observedRoots = new WeakSet(); // Shadow roots and frame documents
+        this.blankFrames = new WeakSet(); // Frames with a load listener
+        this.processedUrls = new LRUCache(PROCESSED_URLS_LIMIT); // URL to its cleaning result
+        // Added nodes and changed attributes to clean
+        this.pendingMutations = new IdleQueue(
+            (mutation) => this.cleanMutation(mutation),
+            (cleanedCount) => {
+                if (cleanedCount > 0) {
+                    this.cleanedLinksCount += cleanedCount;
+                    this.updateBadge();
+                }
+            }
+        );
+        this.badgeUpdate = new Debouncer(
+            () => this.sendBadgeUpdate(),
+            BADGE_UPDATE_DELAY
+        );
         this.cleanedLinksCount = 0;
+        this.interceptedNavigationsCount = 0;
+        this.pendingCleanedUrls = []; // Changes not sent to the statistics yet
+        this.statsFlushTimer = null;
+        this.cleaningLog = []; // Latest cleaned URLs, oldest first
+        this.nextLogId = 1;
+        this.restoreTargets = new Map(); // Log entry ID to the attribute it cleaned
+        this.restoredUrls = new Set(); // URLs restored from the log, left alone
         this.init();
     }
 
@@ -18,23 +68,23 @@ class URLCleaner {
      */
     async init() {
         try {
-            // Wait a bit for the background script to set up storage
-            await new Promise((resolve) => setTimeout(resolve, 100));
-
             await this.loadConfig();
 
-            // If no rules loaded, request them from background script
-            if (this.configRules.length === 0) {
-                await this.requestRulesFromBackground();
-            }
-
             // Mark as initialized FIRST
             this.isInitialized = true;
 
-            // Now clean existing links and start observing
+            // Leave allowlisted sites alone
+            if (this.isSiteAllowlisted()) {
+                this.pausedReason = "site";
+                this.updateBadge();
+                return;
+            }
+
+            // Start observing first, so the shadow roots and frames found
+            // while cleaning existing links get observed too
             this.handleCurrentLocation(); // Non-blocking
-            this.cleanAllLinks();
             this.startObserver();
+            this.cleanAllLinks();
         } catch (error) {
             // If initialization fails, try again after a delay
             setTimeout(() => this.init(), 1000);
@@ -42,171 +92,428 @@ class URLCleaner {
     }
 
     /**
-     * Request rules from background script
+     * Load the rule snapshot the background script keeps in session
+     * storage, with the effective rules and the settings for pages. A
+     * missing or stale snapshot, such as right after the browser started
+     * or the extension was updated, is rebuilt by the background script
      */
-    async requestRulesFromBackground() {
+    async loadConfig() {
+        let snapshot = null;
         try {
-            const response = await chrome.runtime.sendMessage({
-                action: "getRules",
-            });
-            if (response && response.rules && response.rules.length > 0) {
-                this.configRules = response.rules.map((rule) => ({
-                    pattern: new RegExp(rule.pattern, "i"),
-                    replacement: rule.replacement || "",
-                    originalPattern: rule.pattern,
-                }));
-            }
+            ({ ruleSnapshot: snapshot } = await chrome.storage.session.get({
+                ruleSnapshot: null,
+            }));
         } catch (error) {
-            // Silent error handling
+            // Session storage not opened to content scripts yet
+        }
+
+        if (!this.isSnapshotCurrent(snapshot)) {
+            snapshot = await chrome.runtime.sendMessage({
+                action: "getRuleSnapshot",
+            });
         }
+
+        // The background script answers with an error when it cannot build
+        // the snapshot. Clean with the default rules and packs rather than
+        // not at all, but with the user's settings, so allowlisted sites
+        // stay untouched. Custom rules are only read by the background
+        // script, as they may be split across storage areas
+        if (!Array.isArray(snapshot?.rules)) {
+            const { enabledPacks, ...settings } = await chrome.storage.sync.get(
+                {
+                    allowlist: [],
+                    cleanOnCopy: false,
+                    cleanHistory: false,
+                    historyExcludedSites: [],
+                    urlTargets: DEFAULT_URL_TARGETS,
+                    enabledPacks: {},
+                }
+            );
+            snapshot = {
+                ...settings,
+                rules: getEffectiveRules(DEFAULT_RULES, enabledPacks),
+            };
+        }
+
+        this.cleanOnCopy = snapshot.cleanOnCopy;
+        this.cleanHistory = snapshot.cleanHistory;
+        this.compileUrlTargets(snapshot.urlTargets);
+        this.allowlist = this.compileDomainList(snapshot.allowlist);
+        this.historyExcludedSites = this.compileDomainList(
+            snapshot.historyExcludedSites
+        );
+        this.compileRules(snapshot.rules);
     }
 
     /**
-     * Load configuration rules from storage
+     * Check whether a rule snapshot was built by this version of the
+     * extension, in the format it expects
      */
-    loadConfig() {
-        return new Promise((resolve) => {
-            chrome.storage.sync.get({ rules: [] }, (data) => {
-                try {
-                    let rules = data.rules;
-
-                    // If no rules loaded, use basic defaults
-                    if (!rules || rules.length === 0) {
-                        rules = [
-                            { pattern: "utm_.*", replacement: "" },
-                            { pattern: "fbclid", replacement: "" },
-                            { pattern: "gclid", replacement: "" },
-                            { pattern: "ref", replacement: "" },
-                            { pattern: "forcedownload", replacement: "" },
-                            { pattern: "download", replacement: "" },
-                        ];
-                    }
+    isSnapshotCurrent(snapshot) {
+        return (
+            snapshot?.version === RULE_SNAPSHOT_VERSION &&
+            snapshot.extensionVersion === chrome.runtime.getManifest().version
+        );
+    }
+
+    /**
+     * Compile stored rules into the rule engine cleaning this page
+     */
+    compileRules(rules) {
+        this.ruleEngine = new RuleEngine(rules);
+    }
+
+    /**
+     * Compile the elements and attributes holding URLs to clean, dropping
+     * invalid selectors
+     */
+    compileUrlTargets(targets) {
+        const fragment = document.createDocumentFragment();
 
-                    this.configRules = rules.map((rule) => ({
-                        pattern: new RegExp(rule.pattern, "i"),
-                        replacement: rule.replacement || "",
-                        originalPattern: rule.pattern,
-                    }));
+        this.urlTargets = targets
+            .filter(({ selector, attribute }) => {
+                try {
+                    fragment.querySelector(selector);
+                    return Boolean(attribute);
                 } catch (error) {
-                    // Fallback to basic rules if mapping fails
-                    this.configRules = [
-                        {
-                            pattern: /utm_.*/i,
-                            replacement: "",
-                            originalPattern: "utm_.*",
-                        },
-                        {
-                            pattern: /fbclid/i,
-                            replacement: "",
-                            originalPattern: "fbclid",
-                        },
-                        {
-                            pattern: /gclid/i,
-                            replacement: "",
-                            originalPattern: "gclid",
-                        },
-                        {
-                            pattern: /forcedownload/i,
-                            replacement: "",
-                            originalPattern: "forcedownload",
-                        },
-                        {
-                            pattern: /download/i,
-                            replacement: "",
-                            originalPattern: "download",
-                        },
-                    ];
+                    return false;
                 }
-                resolve();
-            });
-        });
+            })
+            .map(({ selector, attribute }) => ({
+                selector,
+                attribute: attribute.toLowerCase(),
+            }));
+        this.urlTargetSelector = this.urlTargets
+            .map(({ selector }) => selector)
+            .join(", ");
+        this.urlTargetAttributes = [
+            ...new Set(this.urlTargets.map(({ attribute }) => attribute)),
+        ];
     }
 
     /**
-     * Clean a URL string by applying all configured rules
+     * Get the hosts of this frame and of the top-level page
      */
-    cleanUrlString(urlStr) {
-        if (!urlStr || this.processedUrls.has(urlStr)) {
-            return urlStr;
+    getPageHosts() {
+        const hosts = [location.hostname];
+        const origins = location.ancestorOrigins;
+
+        if (origins && origins.length > 0) {
+            try {
+                hosts.push(new URL(origins[origins.length - 1]).hostname);
+            } catch (error) {
+                // Opaque origin
+            }
         }
 
+        return hosts;
+    }
+
+    /**
+     * Compile a list of domain patterns, keeping the entries they came from
+     */
+    compileDomainList(domains = []) {
+        return domains.map((domain) => ({
+            domain,
+            pattern: compileDomainPattern(domain),
+        }));
+    }
+
+    /**
+     * Get the entries of a compiled domain list matching the current page
+     */
+    getDomainListMatches(domainList) {
+        const hosts = this.getPageHosts();
+        return domainList
+            .filter(({ pattern }) => hosts.some((host) => pattern.test(host)))
+            .map(({ domain }) => domain);
+    }
+
+    /**
+     * Get the allowlist entries matching the current page
+     */
+    getAllowlistMatches() {
+        return this.getDomainListMatches(this.allowlist);
+    }
+
+    /**
+     * Get the entries matching the current page among the sites where the
+     * address bar is left alone
+     */
+    getHistoryExcludedMatches() {
+        return this.getDomainListMatches(this.historyExcludedSites);
+    }
+
+    /**
+     * Check whether URLs in the address bar get cleaned on this page
+     */
+    isHistoryCleaningEnabled() {
+        return (
+            this.cleanHistory &&
+            !this.pausedReason &&
+            this.getHistoryExcludedMatches().length === 0
+        );
+    }
+
+    /**
+     * Check whether the current page is on the allowlist
+     */
+    isSiteAllowlisted() {
+        return this.getAllowlistMatches().length > 0;
+    }
+
+    /**
+     * Clean a URL string by applying all configured rules. Returns the
+     * cleaned URL along with the changes made to it, each naming the rule
+     * responsible and the parameter it removed or replaced
+     */
+    getCleaningResult(urlStr) {
+        if (!urlStr) {
+            return { url: urlStr, changes: [] };
+        }
+
+        // Relative URLs resolve differently once a single-page app moved
+        // to another route, so results are cached by the resolved URL
+        let resolvedUrl;
         try {
-            const url = new URL(urlStr, location.href);
-            let hasChanges = false;
-
-            // Create a copy of search params to iterate over
-            const paramsToProcess = Array.from(url.searchParams.entries());
-
-            for (const [key, value] of paramsToProcess) {
-                for (const rule of this.configRules) {
-                    try {
-                        // Test against parameter name or value
-                        if (
-                            rule.pattern.test(key) ||
-                            rule.pattern.test(value)
-                        ) {
-                            if (rule.replacement === "") {
-                                url.searchParams.delete(key);
-                                hasChanges = true;
-                            } else {
-                                url.searchParams.set(key, rule.replacement);
-                                hasChanges = true;
-                            }
-                            break; // Stop after first matching rule
-                        }
-                    } catch (regexError) {
-                        // Silent error handling
-                    }
-                }
+            resolvedUrl = new URL(urlStr, document.baseURI).href;
+        } catch (error) {
+            return { url: urlStr, changes: [] };
+        }
+
+        // URLs seen before map to their cleaning result
+        const processedResult = this.processedUrls.get(resolvedUrl);
+        if (processedResult !== undefined) {
+            return processedResult;
+        }
+
+        if (this.restoredUrls.has(resolvedUrl)) {
+            return { url: urlStr, changes: [] };
+        }
+
+        const result = this.ruleEngine.cleanUrl(urlStr, {
+            baseUrl: document.baseURI,
+            pageHost: location.hostname,
+        });
+
+        // Feeds repeat the same URLs, which are only cleaned once
+        this.processedUrls.set(resolvedUrl, result);
+        if (result.changes.length > 0) {
+            this.processedUrls.set(result.url, {
+                url: result.url,
+                changes: [],
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Clean a URL found in the page. The original string is kept when no
+     * rule changed it, so relative URLs and non-URL values stay untouched.
+     * A cleaned URL is added to cleanedUrls if given, with the changes
+     * made to it
+     */
+    cleanUrlValue(value, cleanedUrls = null) {
+        const { url: cleanedUrl, changes } = this.getCleaningResult(value);
+
+        try {
+            if (cleanedUrl === new URL(value, document.baseURI).href) {
+                return value;
             }
+        } catch (error) {
+            return value;
+        }
+
+        cleanedUrls?.push({ original: value, cleaned: cleanedUrl, changes });
+        return cleanedUrl;
+    }
 
-            const cleanedUrl = url.toString();
+    /**
+     * Clean every URL of a srcset attribute, keeping their descriptors
+     */
+    cleanSrcset(srcset, cleanedUrls = null) {
+        const candidates = [];
+        let hasChanges = false;
+        let rest = srcset;
+
+        while ((rest = rest.replace(/^[\s,]+/, ""))) {
+            let [url] = rest.match(/^\S+/);
+            rest = rest.slice(url.length);
 
-            if (hasChanges) {
-                this.processedUrls.add(urlStr);
-                this.processedUrls.add(cleanedUrl);
+            // A URL ending in a comma has no descriptors
+            let descriptors = "";
+            if (url.endsWith(",")) {
+                url = url.replace(/,+$/, "");
+            } else {
+                [descriptors] = rest.match(/^[^,]*/);
+                rest = rest.slice(descriptors.length);
             }
 
-            return cleanedUrl;
-        } catch (error) {
-            return urlStr;
+            const cleanedUrl = this.cleanUrlValue(url, cleanedUrls);
+            if (cleanedUrl !== url) hasChanges = true;
+            candidates.push(
+                descriptors.trim()
+                    ? `${cleanedUrl} ${descriptors.trim()}`
+                    : cleanedUrl
+            );
         }
+
+        return hasChanges ? candidates.join(", ") : srcset;
     }
 
     /**
-     * Clean all links on the page
+     * Clean all links and other URL targets on the page
      */
     cleanAllLinks(root = document) {
-        if (!this.isInitialized) return;
+        if (!this.isInitialized || this.pausedReason) return;
+        if (!this.urlTargetSelector) return;
 
-        const anchors = root.querySelectorAll("a[href]");
+        const cleanedCount = this.cleanTree(root);
+        if (cleanedCount > 0) {
+            this.cleanedLinksCount += cleanedCount;
+            // Update badge with total cleaned links count
+            this.updateBadge();
+        }
+    }
+
+    /**
+     * Clean the URL targets of a node and its descendants, including the
+     * open shadow roots and blank frames inside it, which get observed as
+     * well. Returns how many URLs were cleaned
+     */
+    cleanTree(root) {
         let cleanedCount = 0;
 
-        anchors.forEach((anchor) => {
-            const originalHref = anchor.getAttribute("href");
-            if (!originalHref) return;
+        if (root.nodeType === Node.ELEMENT_NODE) {
+            cleanedCount += this.cleanElement(root);
+        }
+        if (this.urlTargetSelector) {
+            root.querySelectorAll(this.urlTargetSelector).forEach((element) => {
+                cleanedCount += this.cleanElement(element);
+            });
+        }
 
-            const cleanedHref = this.cleanUrlString(originalHref);
-            if (cleanedHref !== originalHref) {
-                anchor.setAttribute("href", cleanedHref);
-                cleanedCount++;
-            }
+        for (const shadowRoot of this.findShadowRoots(root)) {
+            this.observeRoot(shadowRoot);
+            cleanedCount += this.cleanTree(shadowRoot);
+        }
+
+        root.querySelectorAll("iframe, frame").forEach((frame) => {
+            cleanedCount += this.cleanBlankFrame(frame);
         });
 
+        return cleanedCount;
+    }
+
+    /**
+     * Find the open shadow roots of a node and its descendants, without
+     * the ones nested inside those shadow roots
+     */
+    findShadowRoots(root) {
+        const shadowRoots = root.shadowRoot ? [root.shadowRoot] : [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+
+        while (walker.nextNode()) {
+            if (walker.currentNode.shadowRoot) {
+                shadowRoots.push(walker.currentNode.shadowRoot);
+            }
+        }
+
+        return shadowRoots;
+    }
+
+    /**
+     * Clean and observe the document of an about:blank or srcdoc frame.
+     * The content script doesn't run in all of them, but the parent can
+     * reach them as they share its origin
+     */
+    cleanBlankFrame(frame) {
+        // Loading replaces the document, e.g. once a srcdoc is parsed
+        if (!this.blankFrames.has(frame)) {
+            this.blankFrames.add(frame);
+            frame.addEventListener("load", () => {
+                const cleanedCount = this.cleanBlankFrame(frame);
+                if (cleanedCount > 0) {
+                    this.cleanedLinksCount += cleanedCount;
+                    this.updateBadge();
+                }
+            });
+        }
+
+        let frameDocument;
+        try {
+            frameDocument = frame.contentDocument;
+        } catch (error) {
+            return 0;
+        }
+        if (
+            !frameDocument ||
+            !/^about:(blank|srcdoc)/.test(frameDocument.URL)
+        ) {
+            return 0;
+        }
+
+        this.observeRoot(frameDocument);
+        return this.cleanTree(frameDocument);
+    }
+
+    /**
+     * Watch a shadow root or frame document with the link observer
+     */
+    observeRoot(root) {
+        if (!this.observer || this.observedRoots.has(root)) return;
+
+        this.observedRoots.add(root);
+        this.observer.observe(root, this.getObserverOptions());
+    }
+
+    /**
+     * Handle a shadow root attached after its host was added to the page
+     */
+    handleShadowRootAttached(event) {
+        if (!this.isInitialized || this.pausedReason) return;
+
+        // The event is retargeted at the outermost host, so read the path
+        const host = event.composedPath()[0];
+        if (!host.shadowRoot) return;
+
+        this.observeRoot(host.shadowRoot);
+        const cleanedCount = this.cleanTree(host.shadowRoot);
         if (cleanedCount > 0) {
             this.cleanedLinksCount += cleanedCount;
-            // Update badge with total cleaned links count
             this.updateBadge();
         }
     }
 
     /**
-     * Handle the current page location (currently disabled)
+     * Handle the current page location
      */
     async handleCurrentLocation() {
-        // Temporarily disabled to avoid page redirect issues
-        // This feature can be re-enabled later with proper user consent
-        return;
+        // Navigations are cleaned before the request goes out by the
+        // declarativeNetRequest redirect rules the background script keeps
+        // in sync with the stored rules. What they leave behind, such as
+        // replaced values, is cleaned in the address bar without reloading
+        // when History API cleaning is enabled
+        if (window !== window.top || !this.isHistoryCleaningEnabled()) return;
+
+        // Let the page read its own URL while it loads
+        if (document.readyState !== "complete") {
+            await new Promise((resolve) =>
+                window.addEventListener("load", resolve, { once: true })
+            );
+            if (!this.isHistoryCleaningEnabled()) return;
+        }
+
+        const cleanedUrls = [];
+        const cleanedUrl = this.cleanUrlValue(location.href, cleanedUrls);
+        if (
+            cleanedUrl !== location.href &&
+            new URL(cleanedUrl).origin === location.origin
+        ) {
+            history.replaceState(history.state, "", cleanedUrl);
+            this.recordCleaning(cleanedUrls, "address bar");
+        }
     }
 
     /**
@@ -217,83 +524,499 @@ class URLCleaner {
             this.observer.disconnect();
         }
 
+        // Changes are queued and cleaned in batches when the page is idle,
+        // so infinite-scroll feeds adding thousands of links don't jank.
+        // Links used before that are cleaned by handleLinkActivation()
         this.observer = new MutationObserver((mutations) => {
-            let hasNewLinks = false;
-
             for (const mutation of mutations) {
                 if (mutation.addedNodes && mutation.addedNodes.length) {
                     for (const node of mutation.addedNodes) {
                         if (node.nodeType !== Node.ELEMENT_NODE) continue;
 
-                        // Check if the node itself is a link
-                        if (node.matches && node.matches("a[href]")) {
-                            this.cleanSingleLink(node);
-                            hasNewLinks = true;
-                        }
-
-                        // Check for links within the node
-                        if (node.querySelectorAll) {
-                            const subAnchors = node.querySelectorAll("a[href]");
-                            if (subAnchors.length > 0) {
-                                subAnchors.forEach((anchor) =>
-                                    this.cleanSingleLink(anchor)
-                                );
-                                hasNewLinks = true;
-                            }
-                        }
+                        // Check the node itself and the targets within it
+                        this.pendingMutations.push({ node });
                     }
                 }
 
-                // Also handle attribute changes on existing links
-                if (
-                    mutation.type === "attributes" &&
-                    mutation.attributeName === "href" &&
-                    mutation.target.matches("a[href]")
-                ) {
-                    this.cleanSingleLink(mutation.target);
+                // Also handle attribute changes on existing targets
+                if (mutation.type === "attributes") {
+                    this.pendingMutations.push({
+                        node: mutation.target,
+                        attributeName: mutation.attributeName,
+                    });
                 }
             }
 
-            if (hasNewLinks) {
-                // Update badge after processing new links
-                this.updateBadge();
+            // While the page is parsed, links are cleaned right away, so
+            // the browser never paints them with their tracking parameters
+            if (document.readyState === "loading") {
+                this.pendingMutations.process();
+            } else {
+                this.pendingMutations.schedule();
             }
         });
 
-        this.observer.observe(document.documentElement || document, {
+        // Shadow roots and frames observed before are found again by the
+        // next cleanAllLinks()
+        this.observedRoots = new WeakSet();
+        this.observer.observe(
+            document.documentElement || document,
+            this.getObserverOptions()
+        );
+    }
+
+    /**
+     * Clean a queued change: an added node with the targets within it, or
+     * a changed attribute. Returns how many links were cleaned
+     */
+    cleanMutation({ node, attributeName }) {
+        // Nodes removed again in the meantime
+        if (!node.isConnected) return 0;
+
+        return attributeName
+            ? this.cleanElement(node, attributeName)
+            : this.cleanTree(node);
+    }
+
+    /**
+     * Get the link observer options for the configured URL targets
+     */
+    getObserverOptions() {
+        return {
             childList: true,
             subtree: true,
             attributes: true,
-            attributeFilter: ["href"],
+            attributeFilter: this.urlTargetAttributes,
+        };
+    }
+
+    /**
+     * Clean the URL attributes of an element that match a URL target,
+     * optionally only the given attribute. Returns how many were cleaned
+     */
+    cleanElement(element, attributeName = null) {
+        if (!this.isInitialized || this.pausedReason) return 0;
+
+        let cleanedCount = 0;
+        for (const { selector, attribute } of this.urlTargets) {
+            if (attributeName && attribute !== attributeName) continue;
+            if (!element.matches(selector)) continue;
+
+            const value = element.getAttribute(attribute);
+            if (!value) continue;
+
+            const cleanedUrls = [];
+            const cleanedValue =
+                attribute === "srcset"
+                    ? this.cleanSrcset(value, cleanedUrls)
+                    : this.cleanUrlValue(value, cleanedUrls);
+            if (cleanedValue !== value) {
+                element.setAttribute(attribute, cleanedValue);
+                cleanedCount++;
+                this.recordCleaning(
+                    cleanedUrls,
+                    `${element.localName}[${attribute}]`,
+                    { element, attribute, value, cleanedValue }
+                );
+            }
+        }
+
+        return cleanedCount;
+    }
+
+    /**
+     * Clean a link right when it is used, as some sites rewrite links in
+     * their own mousedown or click handlers. Links rewritten on mousedown
+     * are cleaned again once the page's handlers ran
+     */
+    handleLinkActivation(event) {
+        if (!this.isInitialized || this.pausedReason) return;
+        // The target is retargeted at the host of links in shadow roots
+        const target = event.composedPath()[0];
+        if (!(target instanceof Element)) return;
+
+        const link = target.closest("a[href], area[href]");
+        if (!link) return;
+
+        if (event.type === "mousedown") {
+            // The link is about to be followed, so a cleaned href is an
+            // intercepted navigation too
+            const cleanLink = () => {
+                if (this.cleanElement(link, "href") > 0) {
+                    this.cleanedLinksCount++;
+                    this.interceptedNavigationsCount++;
+                    this.updateBadge();
+                }
+            };
+            cleanLink();
+            setTimeout(cleanLink, 0);
+            return;
+        }
+
+        const href = link.getAttribute("href");
+        const { url: cleanedHref, changes } = this.getCleaningResult(href);
+        // Results no rule changed keep the href as written, which may be
+        // relative, so only compare cleaned URLs with the resolved one
+        if (changes.length === 0 || cleanedHref === link.href) return;
+
+        link.setAttribute("href", cleanedHref);
+        this.interceptedNavigationsCount++;
+        this.recordCleaning(
+            [{ original: href, cleaned: cleanedHref, changes }],
+            `${link.localName}[href]`,
+            {
+                element: link,
+                attribute: "href",
+                value: href,
+                cleanedValue: cleanedHref,
+            }
+        );
+    }
+
+    /**
+     * Clean the URL a GET form navigates to. Forms the page submits
+     * through script are left alone
+     */
+    handleFormSubmit(event) {
+        if (
+            !this.isInitialized ||
+            this.pausedReason ||
+            event.defaultPrevented
+        ) {
+            return;
+        }
+
+        const form = event.target;
+        if (!(form instanceof HTMLFormElement)) return;
+
+        // The submit button can override the form's method, action and target
+        const submitter = event.submitter;
+        const method = submitter?.hasAttribute("formmethod")
+            ? submitter.formMethod
+            : form.method;
+        const action = submitter?.hasAttribute("formaction")
+            ? submitter.formAction
+            : form.action;
+        const target = submitter?.hasAttribute("formtarget")
+            ? submitter.formTarget
+            : form.target;
+        if (method !== "get") return;
+
+        try {
+            const url = new URL(action);
+            url.search = new URLSearchParams(
+                new FormData(form, submitter)
+            ).toString();
+
+            const formUrl = url.href;
+            const { url: cleanedUrl, changes } =
+                this.getCleaningResult(formUrl);
+            if (cleanedUrl === formUrl) return;
+
+            event.preventDefault();
+            this.interceptedNavigationsCount++;
+            this.recordCleaning(
+                [{ original: formUrl, cleaned: cleanedUrl, changes }],
+                "form"
+            );
+
+            if (!target || target === "_self") {
+                location.assign(cleanedUrl);
+            } else {
+                window.open(cleanedUrl, target);
+            }
+        } catch (error) {
+            // Let the browser submit the form as usual
+        }
+    }
+
+    /**
+     * Answer a clean URL request from the main world script, which covers
+     * window.open(), script navigations and, when enabled, History API
+     * calls. Only changed URLs are answered
+     */
+    handleCleanUrlRequest(event) {
+        if (!this.isInitialized || this.pausedReason) return;
+        if (typeof event.detail !== "string") return;
+
+        const isHistoryUrl = event.type === CLEAN_HISTORY_URL_EVENT;
+        if (isHistoryUrl && !this.isHistoryCleaningEnabled()) return;
+
+        try {
+            const { url: cleanedUrl, changes } = this.getCleaningResult(
+                event.detail
+            );
+            if (cleanedUrl === new URL(event.detail, document.baseURI).href) {
+                return;
+            }
+
+            // The History API throws for URLs on another origin
+            if (isHistoryUrl) {
+                if (new URL(cleanedUrl).origin !== location.origin) return;
+            } else {
+                this.interceptedNavigationsCount++;
+            }
+
+            this.recordCleaning(
+                [{ original: event.detail, cleaned: cleanedUrl, changes }],
+                isHistoryUrl ? "address bar" : "navigation"
+            );
+            document.documentElement.setAttribute(
+                CLEAN_URL_ATTRIBUTE,
+                cleanedUrl
+            );
+        } catch (error) {
+            // Not a URL
+        }
+    }
+
+    /**
+     * Clean the absolute URLs inside a piece of text, leaving the rest of
+     * the text and URLs without tracking parameters untouched. The changes
+     * made to cleaned URLs are added to cleanedUrls if given
+     */
+    cleanUrlsInText(text, cleanedUrls = null) {
+        return text.replace(URL_IN_TEXT, (match) => {
+            // Punctuation after a URL usually belongs to the sentence
+            const [, urlStr, trailing] = match.match(/^(.*?)([.,;:!?)\]]*)$/);
+            return this.cleanUrlValue(urlStr, cleanedUrls) + trailing;
         });
     }
 
     /**
-     * Clean a single link element
+     * Clean the URLs in a copied selection before it reaches the clipboard
      */
-    cleanSingleLink(anchor) {
-        if (!this.isInitialized) return;
+    handleCopy(event) {
+        if (!this.cleanOnCopy || !this.isInitialized || this.pausedReason) {
+            return;
+        }
+
+        // Selections inside text fields are not part of the document selection
+        const field = document.activeElement;
+        if (field && typeof field.selectionStart === "number") {
+            const text = field.value.slice(
+                field.selectionStart,
+                field.selectionEnd
+            );
+            const cleanedUrls = [];
+            const cleanedText = this.cleanUrlsInText(text, cleanedUrls);
+            if (cleanedText !== text) {
+                event.clipboardData.setData("text/plain", cleanedText);
+                event.preventDefault();
+                this.recordCleaning(cleanedUrls, "copy");
+            }
+            return;
+        }
 
-        const originalHref = anchor.getAttribute("href");
-        if (!originalHref) return;
+        const selection = document.getSelection();
+        if (!selection || selection.rangeCount === 0) return;
 
-        const cleanedHref = this.cleanUrlString(originalHref);
-        if (cleanedHref !== originalHref) {
-            anchor.setAttribute("href", cleanedHref);
-            this.cleanedLinksCount++;
-            // Update badge with new total
-            this.updateBadge();
+        const text = selection.toString();
+        const container = document.createElement("div");
+        for (let i = 0; i < selection.rangeCount; i++) {
+            container.appendChild(selection.getRangeAt(i).cloneContents());
         }
+
+        let hasChanges = false;
+        const cleanedUrls = [];
+        container.querySelectorAll("a[href]").forEach((anchor) => {
+            const originalHref = anchor.getAttribute("href");
+            const { url: cleanedHref, changes } =
+                this.getCleaningResult(originalHref);
+            if (cleanedHref !== anchor.href) {
+                anchor.setAttribute("href", cleanedHref);
+                cleanedUrls.push({
+                    original: originalHref,
+                    cleaned: cleanedHref,
+                    changes,
+                });
+                hasChanges = true;
+            }
+        });
+
+        const walker = document.createTreeWalker(
+            container,
+            NodeFilter.SHOW_TEXT
+        );
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const cleanedText = this.cleanUrlsInText(node.nodeValue);
+            if (cleanedText !== node.nodeValue) {
+                node.nodeValue = cleanedText;
+                hasChanges = true;
+            }
+        }
+
+        // URLs in the text are counted once, for the plain text copy
+        const cleanedText = this.cleanUrlsInText(text, cleanedUrls);
+        if (!hasChanges && cleanedText === text) return;
+
+        event.clipboardData.setData("text/plain", cleanedText);
+        event.clipboardData.setData("text/html", container.innerHTML);
+        event.preventDefault();
+        this.recordCleaning(cleanedUrls, "copy");
     }
 
     /**
-     * Update extension badge with cleaned links count
+     * Copy the cleaned version of a URL to the clipboard. The background
+     * script passes along the result of cleaning it for the context menu
+     */
+    async copyCleanUrl(urlStr, result = this.getCleaningResult(urlStr)) {
+        const { url: cleanedUrl, changes } = result;
+        this.recordCleaning(
+            [{ original: urlStr, cleaned: cleanedUrl, changes }],
+            "copy"
+        );
+
+        try {
+            await navigator.clipboard.writeText(cleanedUrl);
+        } catch (error) {
+            // The page may not have focus right after a context menu click
+            const textarea = document.createElement("textarea");
+            textarea.value = cleanedUrl;
+            textarea.style.position = "fixed";
+            textarea.style.opacity = "0";
+            document.documentElement.appendChild(textarea);
+            textarea.select();
+            document.execCommand("copy");
+            textarea.remove();
+        }
+    }
+
+    /**
+     * Add cleaned URLs to the cleaning log of the page and queue their
+     * changes for the cleaning statistics, which the background script
+     * keeps. The source tells what the URLs were cleaned in, and URLs
+     * cleaned in an element attribute can be restored from the log
+     */
+    recordCleaning(cleanedUrls, source, restoreTarget = null) {
+        const changedUrls = cleanedUrls.filter(
+            ({ changes }) => changes.length > 0
+        );
+        if (changedUrls.length === 0) return;
+
+        for (const { original, cleaned, changes } of changedUrls) {
+            const entry = {
+                id: this.nextLogId++,
+                time: Date.now(),
+                source,
+                original: new URL(original, document.baseURI).href,
+                cleaned,
+                changes,
+            };
+            this.cleaningLog.push(entry);
+            if (restoreTarget) {
+                this.restoreTargets.set(entry.id, restoreTarget);
+            }
+        }
+        while (this.cleaningLog.length > CLEANING_LOG_SIZE) {
+            this.restoreTargets.delete(this.cleaningLog.shift().id);
+        }
+
+        this.pendingCleanedUrls.push(
+            ...changedUrls.map(({ changes }) => changes)
+        );
+        if (!this.statsFlushTimer) {
+            this.statsFlushTimer = setTimeout(
+                () => this.flushStats(),
+                STATS_FLUSH_DELAY
+            );
+        }
+    }
+
+    /**
+     * Send the queued changes to the background script
+     */
+    flushStats() {
+        clearTimeout(this.statsFlushTimer);
+        this.statsFlushTimer = null;
+        if (this.pendingCleanedUrls.length === 0) return;
+
+        // Frames count for the site open in the tab
+        const hosts = this.getPageHosts();
+
+        try {
+            chrome.runtime.sendMessage({
+                action: "recordStats",
+                domain: hosts[hosts.length - 1],
+                cleanedUrls: this.pendingCleanedUrls,
+            });
+        } catch (error) {
+            // Silent error handling
+        }
+        this.pendingCleanedUrls = [];
+    }
+
+    /**
+     * Check whether a log entry's URL can still be put back into the
+     * element it was cleaned in
+     */
+    isRestorable(entry) {
+        const target = this.restoreTargets.get(entry.id);
+        return Boolean(
+            target &&
+                !entry.restored &&
+                target.element.isConnected &&
+                target.element.getAttribute(target.attribute) ===
+                    target.cleanedValue
+        );
+    }
+
+    /**
+     * Get the cleaning log of the page, newest first
+     */
+    getCleaningLog() {
+        return this.cleaningLog
+            .map((entry) => ({
+                ...entry,
+                restorable: this.isRestorable(entry),
+            }))
+            .reverse();
+    }
+
+    /**
+     * Put the original value back into the element a log entry's URL was
+     * cleaned in. The URL is left alone on this page from then on, and the
+     * background script lets navigations to it past the redirect rules.
+     * Returns whether the entry could be restored
+     */
+    async restoreLogEntry(id) {
+        const entry = this.cleaningLog.find((entry) => entry.id === id);
+        if (!entry || !this.isRestorable(entry)) return false;
+
+        const response = await chrome.runtime.sendMessage({
+            action: "allowRestoredUrl",
+            url: entry.original,
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || "Navigation not allowed");
+        }
+
+        const { element, attribute, value } = this.restoreTargets.get(id);
+        this.restoredUrls.add(entry.original);
+        this.processedUrls.clear();
+        element.setAttribute(attribute, value);
+        entry.restored = true;
+        return true;
+    }
+
+    /**
+     * Update extension badge with cleaned links count. Updates are
+     * debounced, so cleaning many links at once sends a single message
      */
     updateBadge() {
+        this.badgeUpdate.schedule();
+    }
+
+    /**
+     * Send the current count and pause state to the background script
+     */
+    sendBadgeUpdate() {
         try {
             chrome.runtime.sendMessage({
                 action: "updateBadgeCount",
                 count: this.cleanedLinksCount,
+                paused: this.pausedReason !== null,
             });
         } catch (error) {
             // Silent error handling
@@ -308,6 +1031,18 @@ class URLCleaner {
         this.updateBadge();
     }
 
+    /**
+     * Pause cleaning in this tab until the page is reloaded
+     */
+    pauseTab() {
+        this.pausedReason = "tab";
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        this.pendingMutations.cancel();
+        this.updateBadge();
+    }
+
     /**
      * Reload configuration (called when rules change)
      */
@@ -315,7 +1050,29 @@ class URLCleaner {
         await this.loadConfig();
         this.processedUrls.clear();
         this.cleanedLinksCount = 0;
+
+        // Follow allowlist changes; a tab pause lasts until reload
+        if (this.pausedReason !== "tab") {
+            const wasPaused = this.pausedReason === "site";
+            const isPaused = this.isSiteAllowlisted();
+            this.pausedReason = isPaused ? "site" : null;
+
+            // The observer also restarts to follow changed URL targets.
+            // Queued changes are cleaned by cleanAllLinks() below
+            this.pendingMutations.cancel();
+            if (isPaused && this.observer) {
+                this.observer.disconnect();
+            } else if (!isPaused && this.isInitialized) {
+                this.startObserver();
+            }
+
+            if (isPaused !== wasPaused) {
+                this.updateBadge();
+            }
+        }
+
         this.cleanAllLinks();
+        this.handleCurrentLocation();
     }
 
     /**
@@ -325,6 +1082,8 @@ class URLCleaner {
         if (this.observer) {
             this.observer.disconnect();
         }
+        this.pendingMutations.cancel();
+        this.flushStats();
         this.processedUrls.clear();
     }
 }
@@ -332,13 +1091,55 @@ class URLCleaner {
 // Initialize the URL cleaner
 const urlCleaner = new URLCleaner();
 
-// Listen for storage changes to reload config
+// Follow the rule snapshot, which the background script rebuilds whenever
+// rules or settings change
 chrome.storage.onChanged.addListener((changes, namespace) => {
-    if (namespace === "sync" && changes.rules) {
+    if (namespace === "session" && changes.ruleSnapshot?.newValue) {
         urlCleaner.reloadConfig();
     }
 });
 
+// Clean links at the moment they are used: before the page's handlers run,
+// and for clicks again after they had a chance to rewrite the link
+for (const type of ["mousedown", "click", "auxclick"]) {
+    window.addEventListener(
+        type,
+        (event) => urlCleaner.handleLinkActivation(event),
+        true
+    );
+}
+for (const type of ["click", "auxclick"]) {
+    window.addEventListener(type, (event) =>
+        urlCleaner.handleLinkActivation(event)
+    );
+}
+
+// Clean GET form submissions the page doesn't handle itself
+window.addEventListener("submit", (event) =>
+    urlCleaner.handleFormSubmit(event)
+);
+
+// Clean and observe shadow roots announced by the main world script
+document.addEventListener(
+    SHADOW_ROOT_EVENT,
+    (event) => urlCleaner.handleShadowRootAttached(event),
+    true
+);
+
+// Clean URLs for the main world script
+for (const type of [CLEAN_URL_EVENT, CLEAN_HISTORY_URL_EVENT]) {
+    document.addEventListener(type, (event) =>
+        urlCleaner.handleCleanUrlRequest(event)
+    );
+}
+
+// Clean URLs in copied selections when enabled
+document.addEventListener(
+    "copy",
+    (event) => urlCleaner.handleCopy(event),
+    true
+);
+
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     switch (request.action) {
@@ -353,12 +1154,38 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             urlCleaner.resetCounter();
             sendResponse({ success: true });
             break;
+        case "pauseTab":
+            urlCleaner.pauseTab();
+            sendResponse({ success: true });
+            break;
+        case "copyCleanUrl":
+            urlCleaner.copyCleanUrl(request.url, request.result);
+            sendResponse({ success: true });
+            break;
+        case "getCleaningLog":
+            sendResponse({ entries: urlCleaner.getCleaningLog() });
+            break;
+        case "restoreLogEntry":
+            urlCleaner
+                .restoreLogEntry(request.id)
+                .then((success) => sendResponse({ success }))
+                .catch((error) => sendResponse({ error: error.message }));
+            return true; // Respond once the navigation is allowed
         case "getStats":
             sendResponse({
-                rulesCount: urlCleaner.configRules.length,
+                rulesCount:
+                    urlCleaner.ruleEngine.configRules.length +
+                    urlCleaner.ruleEngine.unwrapRules.length +
+                    urlCleaner.ruleEngine.keepRules.length,
                 processedUrls: urlCleaner.processedUrls.size,
                 cleanedLinksCount: urlCleaner.cleanedLinksCount,
+                interceptedNavigationsCount:
+                    urlCleaner.interceptedNavigationsCount,
                 domain: location.hostname,
+                paused: urlCleaner.pausedReason,
+                allowlistMatches: urlCleaner.getAllowlistMatches(),
+                cleanHistory: urlCleaner.cleanHistory,
+                historyExcludedMatches: urlCleaner.getHistoryExcludedMatches(),
             });
             break;
     }
@@ -0,0 +1,106 @@
+/**
+ * CleanURLs Main World Script
+ * Runs in the page's own JavaScript context to clean URLs that page scripts
+ * navigate to, which the content script's isolated world cannot intercept
+ */
+
+(() => {
+    // Events and attribute shared with the content script to clean a URL,
+    // for navigations and for History API calls
+    const CLEAN_URL_EVENT = "cleanurls:clean-url";
+    const CLEAN_HISTORY_URL_EVENT = "cleanurls:clean-history-url";
+    const CLEAN_URL_ATTRIBUTE = "data-cleanurls-url";
+
+    // Event fired on hosts of newly attached open shadow roots
+    const SHADOW_ROOT_EVENT = "cleanurls:shadow-root";
+
+    /**
+     * Ask the content script for the cleaned version of a URL. Events are
+     * dispatched synchronously, so the answer is in place once it returns
+     */
+    function cleanUrl(url, eventType = CLEAN_URL_EVENT) {
+        const root = document.documentElement;
+        if (!root || url === undefined || url === null || url === "") {
+            return url;
+        }
+
+        document.dispatchEvent(
+            new CustomEvent(eventType, { detail: String(url) })
+        );
+
+        const cleanedUrl = root.getAttribute(CLEAN_URL_ATTRIBUTE);
+        root.removeAttribute(CLEAN_URL_ATTRIBUTE);
+        return cleanedUrl ?? url;
+    }
+
+    // The content script cannot see attachShadow() calls. Hosts that are
+    // not in the page yet are found by its observer once they are added
+    const originalAttachShadow = Element.prototype.attachShadow;
+    Element.prototype.attachShadow = function attachShadow(init) {
+        const shadowRoot = originalAttachShadow.call(this, init);
+
+        if (init?.mode === "open") {
+            // Let the host fill its shadow root first
+            queueMicrotask(() => {
+                if (!this.isConnected) return;
+                this.dispatchEvent(
+                    new CustomEvent(SHADOW_ROOT_EVENT, {
+                        bubbles: true,
+                        composed: true,
+                    })
+                );
+            });
+        }
+
+        return shadowRoot;
+    };
+
+    // URLs single-page apps put in the address bar. The content script
+    // only cleans them when History API cleaning is enabled for the site
+    for (const method of ["pushState", "replaceState"]) {
+        const originalMethod = History.prototype[method];
+        History.prototype[method] = function (state, unused, url) {
+            return originalMethod.call(
+                this,
+                state,
+                unused,
+                url === undefined || url === null
+                    ? url
+                    : cleanUrl(url, CLEAN_HISTORY_URL_EVENT)
+            );
+        };
+    }
+
+    // Popups opened from click handlers
+    const originalOpen = window.open;
+    window.open = function open(url, ...args) {
+        return originalOpen.call(this, cleanUrl(url), ...args);
+    };
+
+    // location.assign() and friends cannot be wrapped, but the navigations
+    // they start can be cancelled and restarted with the cleaned URL
+    if (window.navigation) {
+        navigation.addEventListener("navigate", (event) => {
+            if (
+                !event.cancelable ||
+                event.destination.sameDocument ||
+                event.formData ||
+                event.downloadRequest !== null ||
+                (event.navigationType !== "push" &&
+                    event.navigationType !== "replace")
+            ) {
+                return;
+            }
+
+            const url = event.destination.url;
+            const cleanedUrl = cleanUrl(url);
+            if (cleanedUrl === url) return;
+
+            event.preventDefault();
+            navigation.navigate(cleanedUrl, {
+                history:
+                    event.navigationType === "replace" ? "replace" : "auto",
+            });
+        });
+    }
+})();
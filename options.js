@@ -1,22 +1,44 @@
-// Default rules for common tracking parameters
-const DEFAULT_RULES = [
-    { pattern: "utm_.*", replacement: "" },
-    { pattern: "fbclid", replacement: "" },
-    { pattern: "gclid", replacement: "" },
-    { pattern: "msclkid", replacement: "" },
-    { pattern: "mc_eid", replacement: "" },
-    { pattern: "ref_.*", replacement: "" },
-    { pattern: "source", replacement: "" },
-    { pattern: "campaign", replacement: "" },
-    { pattern: "forcedownload", replacement: "" },
-    { pattern: "download", replacement: "" },
-];
-
 let currentRules = [];
 let settings = {
     showBadge: true,
+    cleanOnCopy: false,
+    cleanHistory: false,
+    allowlist: [],
+    historyExcludedSites: [],
+    urlTargets: DEFAULT_URL_TARGETS,
+    enabledPacks: {},
+    subscriptions: [],
+};
+let subscriptionCache = {};
+
+// Version of the configuration export format
+const CONFIG_SCHEMA_VERSION = 1;
+
+// Settings included in configuration exports, with their defaults
+const CONFIG_SETTINGS = {
+    showBadge: true,
+    cleanOnCopy: false,
+    cleanHistory: false,
+    allowlist: [],
+    historyExcludedSites: [],
+    urlTargets: DEFAULT_URL_TARGETS,
+    enabledPacks: {},
+    subscriptions: [],
+};
+
+// Check the items of the list settings
+const SETTING_ITEM_VALIDATORS = {
+    allowlist: (item) => typeof item === "string",
+    historyExcludedSites: (item) => typeof item === "string",
+    urlTargets: (item) =>
+        typeof item?.selector === "string" &&
+        typeof item?.attribute === "string",
+    subscriptions: (item) => typeof item?.url === "string",
 };
 
+// Imported configuration waiting for confirmation
+let pendingConfig = null;
+
 // Show toast notification
 function showToast(message, type = "success") {
     // Remove existing toast
@@ -40,32 +62,261 @@ function showToast(message, type = "success") {
     }, 3000);
 }
 
-// Validate regex pattern
-function isValidRegex(pattern) {
+// Validate a rule's regex together with its flags, exact mode and the
+// capture groups its replacement refers to
+function isValidRegex(rule) {
     try {
-        new RegExp(pattern);
+        if (rule.type === "unwrap") {
+            new RegExp(rule.pattern, "i");
+            new RegExp(rule.param, "i");
+            return true;
+        }
+
+        const flags = rule.flags ?? "i";
+        if (!/^[gimsu]*$/.test(flags) || new Set(flags).size < flags.length) {
+            return false;
+        }
+
+        // The empty alternative makes every group show up in the match
+        const match = new RegExp(`${getRuleSource(rule)}|`, flags).exec("");
+        const groupCount = match.length - 1;
+        const groupNames = Object.keys(match.groups || {});
+
+        const replacement = (rule.replacement || "").replace(/\$\$/g, "");
+        for (const [, number, name] of replacement.matchAll(
+            /\$(?:(\d{1,2})|<([^>]*)>)/g
+        )) {
+            if (name !== undefined) {
+                if (!groupNames.includes(name)) return false;
+                continue;
+            }
+
+            // "$12" falls back to "$1" followed by "2" when there is no 12th group
+            const group =
+                Number(number) <= groupCount
+                    ? Number(number)
+                    : Number(number[0]);
+            if (group < 1 || group > groupCount) return false;
+        }
+
         return true;
     } catch (e) {
         return false;
     }
 }
 
+// What a rule's pattern is tested against
+const RULE_TARGETS = [
+    { value: "name", label: "Parameter name" },
+    { value: "value", label: "Parameter value" },
+    { value: "pair", label: "name=value pair" },
+    { value: "path", label: "Path segment" },
+    { value: "hash", label: "Fragment parameter" },
+];
+
+// Parse a comma or space separated list of domains
+function parseDomainList(text) {
+    return text
+        .split(/[\s,]+/)
+        .map((domain) => domain.trim().toLowerCase())
+        .filter((domain) => domain.length > 0);
+}
+
+// Create the options of a rule's target select
+function createTargetOptions(selectedTarget) {
+    return RULE_TARGETS.map(
+        ({ value, label }) =>
+            `<option value="${value}" ${
+                value === selectedTarget ? "selected" : ""
+            }>${label}</option>`
+    ).join("");
+}
+
+// Create the regex option inputs of a rule item
+function createRegexOptions(rule, index) {
+    return `
+        <div class="rule-options">
+            <div class="input-group">
+                <label for="flags-${index}">Flags</label>
+                <input 
+                    type="text" 
+                    id="flags-${index}"
+                    class="flags" 
+                    value="${escapeHtml(rule.flags ?? "i")}" 
+                    placeholder="none"
+                    title="Regex flags: g, i, m, s, u. Use g to replace every match in the value"
+                >
+            </div>
+            <div class="input-group">
+                <label for="priority-${index}">Priority</label>
+                <input 
+                    type="number" 
+                    id="priority-${index}"
+                    class="priority" 
+                    value="${rule.priority || 0}" 
+                    step="1"
+                    title="Rules with a higher priority run first, rules of the same priority in list order"
+                >
+            </div>
+            <label class="checkbox-label" title="The pattern must match the whole name, value or segment">
+                <input type="checkbox" class="exact" ${
+                    rule.exact ? "checked" : ""
+                }>
+                Exact match
+            </label>
+            <label class="checkbox-label" title="Keep applying later rules to the parameter after this one replaced it">
+                <input type="checkbox" class="continue" ${
+                    rule.continue ? "checked" : ""
+                }>
+                Continue
+            </label>
+            <span class="rule-hint">
+                Use $1, $2… in the replacement to insert captured groups
+            </span>
+        </div>
+    `;
+}
+
+// Create the domain scope inputs of a rule item
+function createScopeInputs(rule, index) {
+    return `
+        <div class="rule-scope">
+            <div class="input-group">
+                <label for="domains-${index}">Only on Domains</label>
+                <input 
+                    type="text" 
+                    id="domains-${index}"
+                    class="domains" 
+                    value="${escapeHtml((rule.domains || []).join(", "))}" 
+                    placeholder="All sites, e.g., *.amazon.*, example.com"
+                    title="Apply the rule only when the link or the page is on one of these domains"
+                >
+            </div>
+            <div class="input-group">
+                <label for="exclude-domains-${index}">Except on Domains</label>
+                <input 
+                    type="text" 
+                    id="exclude-domains-${index}"
+                    class="exclude-domains" 
+                    value="${escapeHtml(
+                        (rule.excludeDomains || []).join(", ")
+                    )}" 
+                    placeholder="None, e.g., github.com"
+                    title="Never apply the rule when the link or the page is on one of these domains"
+                >
+            </div>
+        </div>
+    `;
+}
+
+// Create the checkbox turning a rule off without removing it
+function createDisabledOption(rule) {
+    return `
+        <label class="checkbox-label rule-disabled" title="Keep the rule, but stop applying it">
+            <input type="checkbox" class="disabled" ${
+                rule.disabled ? "checked" : ""
+            }>
+            Disabled
+        </label>
+    `;
+}
+
+// Create the inputs of a keep rule item
+function createKeepRuleInputs(rule, index) {
+    return `
+        <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+        <div class="rule-inputs">
+            <div class="input-group">
+                <label for="pattern-${index}">Parameter Name Pattern</label>
+                <input 
+                    type="text" 
+                    id="pattern-${index}"
+                    class="pattern" 
+                    value="${escapeHtml(rule.pattern || "")}" 
+                    placeholder="e.g., ref or v|t"
+                    title="Regular expression matching the names of the parameters to keep"
+                >
+            </div>
+            <label class="checkbox-label" title="The pattern must match the whole parameter name">
+                <input type="checkbox" class="exact" ${
+                    rule.exact ? "checked" : ""
+                }>
+                Exact match
+            </label>
+            <button class="btn btn-danger remove-rule" onclick="removeRule(${index})" title="Remove this rule">
+                🗑️
+            </button>
+        </div>
+        ${createScopeInputs(rule, index)}
+        ${createDisabledOption(rule)}
+        <div class="rule-overrides"></div>
+    `;
+}
+
 // Create rule item HTML
 function createRuleItem(rule, index) {
     const div = document.createElement("div");
-    div.className = "rule-item";
-    div.innerHTML = `
+    div.className = rule.disabled ? "rule-item is-disabled" : "rule-item";
+    div.dataset.type = rule.type || "param";
+    div.innerHTML =
+        rule.type === "keep"
+            ? createKeepRuleInputs(rule, index)
+            : rule.type === "unwrap"
+            ? `
+        <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
         <div class="rule-inputs">
+            <div class="input-group">
+                <label for="pattern-${index}">Wrapper URL Pattern</label>
+                <input 
+                    type="text" 
+                    id="pattern-${index}"
+                    class="pattern" 
+                    value="${escapeHtml(rule.pattern || "")}" 
+                    placeholder="e.g., ^https?://out\\.reddit\\.com/"
+                    title="Regular expression matching the redirect wrapper URL"
+                >
+            </div>
+            <div class="input-group">
+                <label for="param-${index}">Target Parameter</label>
+                <input 
+                    type="text" 
+                    id="param-${index}"
+                    class="param" 
+                    value="${escapeHtml(rule.param || "")}" 
+                    placeholder="e.g., ^(url|dest|redirect)$"
+                    title="Regular expression matching the parameter that holds the real destination"
+                >
+            </div>
+            <button class="btn btn-danger remove-rule" onclick="removeRule(${index})" title="Remove this rule">
+                🗑️
+            </button>
+        </div>
+        ${createScopeInputs(rule, index)}
+        ${createDisabledOption(rule)}
+    `
+            : `
+        <span class="drag-handle" title="Drag to reorder">⋮⋮</span>
+        <div class="rule-inputs has-target">
             <div class="input-group">
                 <label for="pattern-${index}">Regex Pattern</label>
                 <input 
                     type="text" 
                     id="pattern-${index}"
                     class="pattern" 
-                    value="${rule.pattern || ""}" 
+                    value="${escapeHtml(rule.pattern || "")}" 
                     placeholder="e.g., utm_.* or fbclid"
-                    title="Regular expression to match parameter names or values"
+                    title="Regular expression to match against the selected target"
+                >
+            </div>
+            <div class="input-group">
+                <label for="target-${index}">Match</label>
+                <select 
+                    id="target-${index}"
+                    class="target" 
+                    title="Which part of the URL the pattern is tested against"
                 >
+                    ${createTargetOptions(rule.target || "name")}
+                </select>
             </div>
             <div class="input-group">
                 <label for="replacement-${index}">Replacement</label>
@@ -73,7 +324,7 @@ function createRuleItem(rule, index) {
                     type="text" 
                     id="replacement-${index}"
                     class="replacement" 
-                    value="${rule.replacement || ""}" 
+                    value="${escapeHtml(rule.replacement || "")}" 
                     placeholder="Leave empty to remove parameter"
                     title="Leave empty to remove parameter, or enter replacement value"
                 >
@@ -82,36 +333,578 @@ function createRuleItem(rule, index) {
                 🗑️
             </button>
         </div>
+        ${createRegexOptions(rule, index)}
+        ${createScopeInputs(rule, index)}
+        ${createDisabledOption(rule)}
+        <div class="rule-conflicts"></div>
     `;
+
+    // Dim disabled rules while they are being edited
+    div.querySelector(".disabled").addEventListener("change", (event) => {
+        div.classList.toggle("is-disabled", event.target.checked);
+    });
+
+    // Only the handle starts a drag, so text in the inputs stays selectable
+    const handle = div.querySelector(".drag-handle");
+    handle.addEventListener("mousedown", () => {
+        div.draggable = true;
+    });
+    handle.addEventListener("mouseup", () => {
+        div.draggable = false;
+    });
     return div;
 }
 
+// Render the empty state of a rules container
+function renderEmptyState(container, title, message) {
+    container.innerHTML = `
+        <div class="empty-state">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+                <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
+            </svg>
+            <h3>${title}</h3>
+            <p>${message}</p>
+        </div>
+    `;
+}
+
 // Render all rules
 function renderRules(rules) {
     const container = document.getElementById("rules-container");
+    const unwrapContainer = document.getElementById("unwrap-rules-container");
+    const keepContainer = document.getElementById("keep-rules-container");
+    const containers = { unwrap: unwrapContainer, keep: keepContainer };
     container.innerHTML = "";
+    unwrapContainer.innerHTML = "";
+    keepContainer.innerHTML = "";
 
-    if (rules.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <svg viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
-                </svg>
-                <h3>No custom rules yet</h3>
-                <p>Click "Add New Rule" to create your first custom URL cleaning rule</p>
+    rules.forEach((rule, index) => {
+        const target = containers[rule.type] || container;
+        target.appendChild(createRuleItem(rule, index));
+    });
+
+    if (!container.hasChildNodes()) {
+        renderEmptyState(
+            container,
+            "No custom rules yet",
+            'Click "Add New Rule" to create your first custom URL cleaning rule'
+        );
+    }
+
+    if (!unwrapContainer.hasChildNodes()) {
+        renderEmptyState(
+            unwrapContainer,
+            "No unwrap rules yet",
+            'Click "Add Unwrap Rule" to follow redirect links to their real destination'
+        );
+    }
+
+    if (!keepContainer.hasChildNodes()) {
+        renderEmptyState(
+            keepContainer,
+            "No keep rules yet",
+            'Click "Add Keep Rule" to protect parameters a site needs from removal rules'
+        );
+    }
+
+    refreshRuleFeedback();
+}
+
+// Move the dragged rule before or after the rule under the pointer,
+// within its own list
+function handleRuleDragOver(event) {
+    const container = event.currentTarget;
+    const dragged = container.querySelector(".rule-item.dragging");
+    if (!dragged) return;
+    event.preventDefault();
+
+    const target = event.target.closest(".rule-item");
+    if (!target || target === dragged) return;
+
+    const { top, height } = target.getBoundingClientRect();
+    const isAfter = event.clientY > top + height / 2;
+    container.insertBefore(dragged, isAfter ? target.nextSibling : target);
+}
+
+// Let the rules of a list be reordered by dragging them
+function setupRuleDragAndDrop(container) {
+    container.addEventListener("dragstart", (event) => {
+        const item = event.target.closest(".rule-item");
+        if (!item) return;
+        item.classList.add("dragging");
+        event.dataTransfer.effectAllowed = "move";
+    });
+    container.addEventListener("dragover", handleRuleDragOver);
+    container.addEventListener("drop", (event) => event.preventDefault());
+    container.addEventListener("dragend", () => {
+        // Render the rules again so they are numbered in their new order
+        currentRules = collectRules();
+        renderRules(currentRules);
+    });
+}
+
+// Read a rule from its rule item in the form
+function readRuleItem(item) {
+    const type = item.dataset.type;
+    const pattern = item.querySelector(".pattern").value.trim();
+    let rule;
+    if (type === "unwrap") {
+        rule = {
+            type: "unwrap",
+            pattern: pattern,
+            param: item.querySelector(".param").value.trim(),
+        };
+    } else if (type === "keep") {
+        rule = { type: "keep", pattern: pattern };
+        if (item.querySelector(".exact").checked) rule.exact = true;
+    } else {
+        rule = {
+            pattern: pattern,
+            replacement: item.querySelector(".replacement").value.trim(),
+            target: item.querySelector(".target").value,
+        };
+    }
+
+    // Only store regex options that differ from the defaults
+    if (type === "param") {
+        const flags = item.querySelector(".flags").value.trim();
+        const priority = parseInt(item.querySelector(".priority").value, 10);
+        if (flags !== "i") rule.flags = flags;
+        if (priority) rule.priority = priority;
+        if (item.querySelector(".exact").checked) rule.exact = true;
+        if (item.querySelector(".continue").checked) rule.continue = true;
+    }
+
+    // Only store domain scopes that are actually set
+    const domains = parseDomainList(item.querySelector(".domains").value);
+    const excludeDomains = parseDomainList(
+        item.querySelector(".exclude-domains").value
+    );
+    if (domains.length > 0) rule.domains = domains;
+    if (excludeDomains.length > 0) rule.excludeDomains = excludeDomains;
+
+    if (item.querySelector(".disabled").checked) rule.disabled = true;
+
+    return rule;
+}
+
+// Collect current rules from form
+function collectRules() {
+    return Array.from(document.querySelectorAll(".rule-item")).map(
+        readRuleItem
+    );
+}
+
+// Build a key identifying a rule regardless of how it was written
+function ruleKey(rule) {
+    return JSON.stringify([
+        rule.type || "param",
+        rule.pattern,
+        rule.param || "",
+        rule.replacement || "",
+        rule.target || "name",
+        rule.flags ?? "i",
+        Boolean(rule.exact),
+        rule.domains || [],
+        rule.excludeDomains || [],
+    ]);
+}
+
+// Human readable names of the supported list formats
+const IMPORT_FORMATS = {
+    clearurls: "ClearURLs providers",
+    adguard: "AdGuard/uBlock filter list",
+    unknown: "unknown format",
+};
+
+// Import rules from a ClearURLs or AdGuard/uBlock list file
+function importRuleListFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        const { format, rules, skipped } = parseRuleList(reader.result);
+
+        currentRules = collectRules();
+        const existingKeys = new Set(currentRules.map(ruleKey));
+        let duplicateCount = 0;
+
+        const importedRules = rules.filter((rule) => {
+            const key = ruleKey(rule);
+            if (existingKeys.has(key)) {
+                duplicateCount++;
+                return false;
+            }
+            existingKeys.add(key);
+            return true;
+        });
+
+        currentRules.push(...importedRules);
+        renderRules(currentRules);
+        renderImportReport(
+            file.name,
+            format,
+            importedRules.length,
+            duplicateCount,
+            skipped
+        );
+
+        showToast(
+            `Imported ${importedRules.length} rule(s), review and save them`,
+            importedRules.length > 0 ? "success" : "error"
+        );
+    };
+
+    reader.onerror = () => {
+        showToast(`Could not read ${file.name}`, "error");
+    };
+
+    reader.readAsText(file);
+}
+
+// Show what an import added and what it skipped
+function renderImportReport(
+    fileName,
+    format,
+    importedCount,
+    duplicateCount,
+    skipped
+) {
+    const report = document.getElementById("import-report");
+    const skippedItems = skipped
+        .map(
+            ({ entry, reason }) =>
+                `<li><code>${escapeHtml(entry)}</code> ${escapeHtml(
+                    reason
+                )}</li>`
+        )
+        .join("");
+
+    report.innerHTML = `
+        <div class="info-box">
+            <h3>${escapeHtml(fileName)} (${IMPORT_FORMATS[format]})</h3>
+            <p>
+                ${importedCount} rule(s) imported,
+                ${duplicateCount} already present,
+                ${skipped.length} entr${
+        skipped.length === 1 ? "y" : "ies"
+    } skipped
+            </p>
+            ${
+                skipped.length > 0
+                    ? `<details>
+                        <summary>Skipped entries</summary>
+                        <ul>${skippedItems}</ul>
+                    </details>`
+                    : ""
+            }
+        </div>
+    `;
+}
+
+// Compile a rule's pattern for testing parameter names in the editor
+function compileNamePattern(rule) {
+    return new RegExp(
+        getRuleSource(rule),
+        (rule.flags ?? "i").replace(/[gy]/g, "")
+    );
+}
+
+// Find the parameters that a replace rule keeps and a remove rule removes,
+// with the rules involved and whether the parameter ends up removed. Only
+// names spelled out by a rule are checked, and domain scopes are ignored
+function findRuleConflicts(rules) {
+    const keepRules = rules.filter((rule) => rule.type === "keep");
+    const nameRules = rules
+        .filter(
+            (rule) =>
+                (rule.type || "param") === "param" &&
+                (rule.target || "name") === "name"
+        )
+        .map((rule) => ({ rule, pattern: compileNamePattern(rule) }));
+    const checkedNames = new Set();
+    const conflicts = [];
+
+    for (const { rule } of nameRules) {
+        for (const name of getLiteralNames(rule)) {
+            if (checkedNames.has(name)) continue;
+            checkedNames.add(name);
+
+            const matchingRules = nameRules
+                .filter(({ pattern }) => pattern.test(name))
+                .map(({ rule }) => rule);
+            const removingRules = matchingRules.filter(
+                (rule) => !rule.replacement
+            );
+            if (
+                removingRules.length === 0 ||
+                removingRules.length === matchingRules.length
+            ) {
+                continue;
+            }
+
+            // Let the rule engine settle it, in the order it applies rules
+            const { url } = new RuleEngine(
+                [...matchingRules, ...keepRules].map(
+                    ({ domains, excludeDomains, ...rule }) => rule
+                )
+            ).cleanUrl(`https://example.com/?${name}=value`);
+            conflicts.push({
+                name,
+                rules: matchingRules,
+                isRemoved: !new URL(url).searchParams.has(name),
+            });
+        }
+    }
+
+    return conflicts;
+}
+
+// Describe a conflict between rules for the rule editor
+function describeConflict({ name, rules, isRemoved }) {
+    const describe = (rule) =>
+        rule.item
+            ? `<code>${escapeHtml(rule.pattern)}</code>`
+            : `<code>${escapeHtml(rule.pattern)}</code> (${escapeHtml(
+                  describeRuleSource(rule)
+              )})`;
+    const keepingRules = rules.filter((rule) => rule.replacement);
+    const removingRules = rules.filter((rule) => !rule.replacement);
+
+    return `
+        ⚠️ <code>${escapeHtml(name)}</code> is kept by
+        ${keepingRules.map(describe).join(", ")} but removed by
+        ${removingRules.map(describe).join(", ")}. With the current order
+        and priorities it ends up ${isRemoved ? "removed" : "kept"}.
+    `;
+}
+
+// Show on each custom rule the conflicts it takes part in, against the
+// other rules being edited and the enabled packs and subscriptions
+function renderRuleConflicts() {
+    const items = Array.from(document.querySelectorAll(".rule-item"));
+    const customRules = items
+        .map((item) => ({ ...readRuleItem(item), item }))
+        .filter((rule) => rule.pattern.length > 0 && isValidRegex(rule));
+    const rules = getEffectiveRules(
+        customRules,
+        settings.enabledPacks,
+        getSubscriptionRules(settings.subscriptions, subscriptionCache)
+    );
+
+    const conflictLists = new Map(
+        items.map((item) => [item, item.querySelector(".rule-conflicts")])
+    );
+    for (const list of conflictLists.values()) {
+        if (list) list.innerHTML = "";
+    }
+
+    for (const conflict of findRuleConflicts(rules)) {
+        for (const { item } of conflict.rules) {
+            const list = item && conflictLists.get(item);
+            if (!list) continue;
+
+            const message = document.createElement("p");
+            message.className = "rule-conflict";
+            message.innerHTML = describeConflict(conflict);
+            list.appendChild(message);
+        }
+    }
+}
+
+// Find the removal rules a keep rule overrides: those matching a name the
+// keep rule or the removal rule spells out. Domain scopes are ignored
+function findOverriddenRules(keepRule, rules) {
+    const keepPattern = compileNamePattern(keepRule);
+
+    return rules.filter((rule) => {
+        if (
+            (rule.type || "param") !== "param" ||
+            rule.replacement ||
+            !["name", "hash"].includes(rule.target || "name")
+        ) {
+            return false;
+        }
+
+        const pattern = compileNamePattern(rule);
+        return [...getLiteralNames(keepRule), ...getLiteralNames(rule)].some(
+            (name) => keepPattern.test(name) && pattern.test(name)
+        );
+    });
+}
+
+// Describe a removal rule overridden by a keep rule
+function describeOverriddenRule(rule) {
+    const source = rule.item ? "custom rule" : describeRuleSource(rule);
+    return `<code>${escapeHtml(rule.pattern)}</code> (${escapeHtml(source)})`;
+}
+
+// Show on each keep rule the removal rules it overrides, among the rules
+// being edited and the enabled packs and subscriptions
+function renderKeepOverrides() {
+    const customRules = Array.from(document.querySelectorAll(".rule-item")).map(
+        (item) => ({ ...readRuleItem(item), item })
+    );
+    const rules = getEffectiveRules(
+        customRules.filter(
+            (rule) => rule.pattern.length > 0 && isValidRegex(rule)
+        ),
+        settings.enabledPacks,
+        getSubscriptionRules(settings.subscriptions, subscriptionCache)
+    );
+
+    for (const keepRule of customRules) {
+        if (keepRule.type !== "keep") continue;
+
+        const list = keepRule.item.querySelector(".rule-overrides");
+        if (!keepRule.pattern || !isValidRegex(keepRule)) {
+            list.innerHTML = "";
+            continue;
+        }
+
+        const overriddenRules = findOverriddenRules(keepRule, rules);
+        list.innerHTML =
+            overriddenRules.length > 0
+                ? `🛡️ Overrides ${overriddenRules
+                      .map(describeOverriddenRule)
+                      .join(", ")}`
+                : "No removal rule matches these parameters yet";
+    }
+}
+
+// Update the conflicts, the keep rule overrides and the tester after the
+// rules changed
+function refreshRuleFeedback() {
+    renderRuleConflicts();
+    renderKeepOverrides();
+    runRuleTester();
+}
+
+// Compile the rules being edited, as the content script would once they are
+// saved. Rules without a pattern or with an invalid regex are left out
+function createTesterEngine() {
+    const editedRules = collectRules().filter(
+        (rule) => rule.pattern.length > 0
+    );
+    const validRules = editedRules.filter(isValidRegex);
+    const rules = getEffectiveRules(
+        editedRules.length > 0 ? validRules : DEFAULT_RULES,
+        settings.enabledPacks,
+        getSubscriptionRules(settings.subscriptions, subscriptionCache)
+    );
+
+    return {
+        engine: new RuleEngine(rules),
+        invalidCount: editedRules.length - validRules.length,
+    };
+}
+
+// Describe what a rule did to a tested URL
+function describeTesterChange({ rule, param }) {
+    const source = escapeHtml(describeRuleSource(rule));
+    const pattern = `<code>${escapeHtml(rule.pattern)}</code>`;
+
+    if (rule.type === "unwrap") {
+        return `Unwrapped by ${pattern} (${source})`;
+    }
+    if (param === undefined) {
+        return `Path segment matched ${pattern} (${source})`;
+    }
+    return `<code>${escapeHtml(param)}</code> matched ${pattern} (${source})`;
+}
+
+// Render the cleaning result of one tested URL
+function renderTesterResult(input, { url, changes }) {
+    let cleanedUrl;
+    try {
+        cleanedUrl = new URL(url);
+    } catch (error) {
+        return `
+            <div class="tester-result invalid">
+                <code>${escapeHtml(input)}</code>
+                Not a valid URL
             </div>
         `;
+    }
+
+    const keptParams = [...new Set(cleanedUrl.searchParams.keys())];
+    const changeItems = changes
+        .map((change) => `<li>${describeTesterChange(change)}</li>`)
+        .join("");
+
+    return `
+        <div class="tester-result${changes.length > 0 ? "" : " unchanged"}">
+            <code>${escapeHtml(url)}</code>
+            ${
+                changes.length > 0
+                    ? `<ul>${changeItems}</ul>`
+                    : "<p>No rule matched</p>"
+            }
+            <p>
+                ${
+                    keptParams.length > 0
+                        ? `Kept: ${keptParams
+                              .map((key) => `<code>${escapeHtml(key)}</code>`)
+                              .join(", ")}`
+                        : "No query parameters left"
+                }
+            </p>
+        </div>
+    `;
+}
+
+// Clean the tester URLs with the rules being edited
+function runRuleTester() {
+    const results = document.getElementById("tester-results");
+    const inputs = document
+        .getElementById("tester-urls")
+        .value.split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+    if (inputs.length === 0) {
+        results.innerHTML = "";
         return;
     }
 
-    rules.forEach((rule, index) => {
-        container.appendChild(createRuleItem(rule, index));
-    });
+    // Relative URLs and rules scoped to a site need the page they are on
+    let baseUrl;
+    let pageHost;
+    try {
+        const pageUrl = new URL(
+            document.getElementById("tester-page-url").value.trim()
+        );
+        baseUrl = pageUrl.href;
+        pageHost = pageUrl.hostname;
+    } catch (error) {
+        // No page given
+    }
+
+    const { engine, invalidCount } = createTesterEngine();
+    const note =
+        invalidCount > 0
+            ? `<p class="tester-note">${invalidCount} rule(s) with an invalid pattern are left out</p>`
+            : "";
+
+    results.innerHTML =
+        inputs
+            .map((input) =>
+                renderTesterResult(
+                    input,
+                    engine.cleanUrl(input, { baseUrl, pageHost })
+                )
+            )
+            .join("") + note;
 }
 
 // Add new rule
-function addNewRule() {
-    currentRules.push({ pattern: "", replacement: "" });
+function addNewRule(type = "param") {
+    currentRules = collectRules();
+    const newRules = {
+        unwrap: { type: "unwrap", pattern: "", param: "" },
+        keep: { type: "keep", pattern: "", exact: true },
+        param: { pattern: "", replacement: "", target: "name" },
+    };
+    currentRules.push(newRules[type]);
     renderRules(currentRules);
 
     // Focus on the new rule's pattern input
@@ -125,6 +918,7 @@ function addNewRule() {
 // Remove rule
 function removeRule(index) {
     if (confirm("Are you sure you want to remove this rule?")) {
+        currentRules = collectRules();
         currentRules.splice(index, 1);
         renderRules(currentRules);
         showToast("Rule removed successfully", "success");
@@ -169,60 +963,778 @@ function clearAllRules() {
 // Save rules and settings
 function saveRules() {
     // Collect current rules from form
-    const patterns = Array.from(document.querySelectorAll(".pattern")).map(
-        (i) => i.value.trim()
-    );
-    const replacements = Array.from(
-        document.querySelectorAll(".replacement")
-    ).map((i) => i.value.trim());
+    const rules = collectRules();
 
     // Validate patterns
     const invalidPatterns = [];
-    patterns.forEach((pattern, index) => {
-        if (pattern && !isValidRegex(pattern)) {
+    rules.forEach((rule, index) => {
+        if (!isValidRegex(rule)) {
             invalidPatterns.push(index + 1);
         }
     });
 
     if (invalidPatterns.length > 0) {
         showToast(
-            `Invalid regex patterns in rules: ${invalidPatterns.join(", ")}`,
+            `Invalid regex, flags or replacement in rules: ${invalidPatterns.join(
+                ", "
+            )}`,
             "error"
         );
         return;
     }
 
     // Filter out empty patterns
-    const validRules = patterns
-        .map((pattern, index) => ({
-            pattern: pattern,
-            replacement: replacements[index] || "",
-        }))
-        .filter((rule) => rule.pattern.length > 0);
+    const validRules = rules.filter(
+        (rule) =>
+            rule.pattern.length > 0 &&
+            (rule.type !== "unwrap" || rule.param.length > 0)
+    );
 
-    // Save to storage (both rules and settings)
-    chrome.storage.sync.set(
-        {
-            rules: validRules,
-            showBadge: settings.showBadge,
-        },
-        () => {
-            if (chrome.runtime.lastError) {
-                showToast(
-                    "Error saving: " + chrome.runtime.lastError.message,
-                    "error"
-                );
-            } else {
-                currentRules = validRules;
-                renderRules(currentRules);
-                showToast(
-                    `Successfully saved ${validRules.length} rule(s)`,
-                    "success"
-                );
-            }
-        }
+    const urlTargets = collectUrlTargets().filter(
+        ({ selector, attribute }) => selector || attribute
     );
-}
+    const invalidTargets = [];
+    urlTargets.forEach((target, index) => {
+        if (!isValidUrlTarget(target)) {
+            invalidTargets.push(index + 1);
+        }
+    });
+
+    if (invalidTargets.length > 0) {
+        showToast(
+            `Invalid selector or attribute in URL targets: ${invalidTargets.join(
+                ", "
+            )}`,
+            "error"
+        );
+        return;
+    }
+
+    settings.allowlist = parseDomainList(
+        document.getElementById("allowlist").value
+    );
+    settings.historyExcludedSites = parseDomainList(
+        document.getElementById("history-excluded-sites").value
+    );
+    settings.urlTargets = urlTargets;
+
+    // Save to storage (both rules and settings)
+    saveRulesFromThisDevice(validRules)
+        .then(async (area) => {
+            if (!area) return;
+            await chrome.storage.sync.set({
+                showBadge: settings.showBadge,
+                allowlist: settings.allowlist,
+                historyExcludedSites: settings.historyExcludedSites,
+                urlTargets: settings.urlTargets,
+            });
+
+            currentRules = validRules;
+            renderRules(currentRules);
+            renderUrlTargets();
+            showToast(
+                area === "local"
+                    ? `Saved ${validRules.length} rule(s) on this device only, as they exceed the sync quota`
+                    : `Successfully saved ${validRules.length} rule(s)`,
+                "success"
+            );
+        })
+        .catch((error) => {
+            showToast("Error saving: " + error.message, "error");
+        });
+}
+
+// Save rules, asking first when they would replace rules another device
+// keeps to itself. Resolves to the storage area, or null when cancelled
+async function saveRulesFromThisDevice(rules) {
+    if (
+        (await areRulesOnOtherDevice()) &&
+        !confirm(
+            "The saved rules are stored on another device only. Saving here replaces them on every device, including that one. Continue?"
+        )
+    ) {
+        return null;
+    }
+
+    return saveStoredRules(rules, { replaceOtherDevice: true });
+}
+
+// Format a byte count for the storage usage
+function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Show how much storage the saved rules take and where they are stored
+async function renderRuleStorageUsage() {
+    const container = document.getElementById("rule-storage-usage");
+
+    let usage;
+    try {
+        usage = await getRuleStorageUsage();
+    } catch (error) {
+        container.innerHTML = "";
+        return;
+    }
+
+    const isLocal = usage.area === "local";
+    if (usage.onOtherDevice) {
+        container.classList.add("is-local");
+        container.innerHTML = `
+            ⚠️ Saved rules take ${formatBytes(
+                usage.ruleBytes
+            )}, more than syncs across browsers, so they are stored on another device only. This browser cleans with the default rules, and saving rules here replaces them on every device.
+        `;
+        return;
+    }
+
+    const message = isLocal
+        ? `Saved rules take ${formatBytes(
+              usage.ruleBytes
+          )}, more than the ${formatBytes(
+              usage.ruleBudget
+          )} that sync across browsers, so they are stored on this device only`
+        : `Saved rules use ${formatBytes(usage.ruleBytes)} of the ${formatBytes(
+              usage.ruleBudget
+          )} that sync across browsers`;
+    const percent = Math.min(100, (usage.ruleBytes / usage.ruleBudget) * 100);
+
+    container.classList.toggle("is-local", isLocal);
+    container.innerHTML = `
+        💾 ${message}. Sync storage: ${formatBytes(
+        usage.syncBytes
+    )} of ${formatBytes(usage.syncQuota)} used
+        <div class="storage-usage-track">
+            <div class="storage-usage-bar" style="width: ${percent}%"></div>
+        </div>
+    `;
+}
+
+// Render problems the background script had turning removal rules into
+// navigation redirects. Links are cleaned on pages either way
+function renderRedirectRulesStatus(status) {
+    const container = document.getElementById("redirect-rules-status");
+
+    if (status?.error) {
+        container.textContent = `⚠️ Chrome refused the navigation redirects (${status.error}), so parameters are only removed from links on pages, not from URLs opened from elsewhere.`;
+    } else if (status?.skippedRuleCount > 0) {
+        container.textContent = `⚠️ ${status.skippedRuleCount} removal rule(s) exceed Chrome's limit on redirect rules. They clean links on pages, but not URLs opened from elsewhere.`;
+    } else {
+        container.textContent = "";
+    }
+}
+
+// Validate a URL target's CSS selector and attribute name
+function isValidUrlTarget({ selector, attribute }) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+    } catch (e) {
+        return false;
+    }
+    return /^[^\s"'>/=]+$/.test(attribute);
+}
+
+// Render the elements and attributes holding URLs to clean
+function renderUrlTargets() {
+    const container = document.getElementById("url-targets-container");
+    container.innerHTML = "";
+
+    settings.urlTargets.forEach(({ selector, attribute }, index) => {
+        const div = document.createElement("div");
+        div.className = "url-target-item";
+        div.innerHTML = `
+            <input 
+                type="text" 
+                class="target-selector" 
+                value="${escapeHtml(selector)}" 
+                placeholder="CSS selector, e.g., a[href]"
+                title="Elements holding a URL"
+            >
+            <input 
+                type="text" 
+                class="target-attribute" 
+                value="${escapeHtml(attribute)}" 
+                placeholder="Attribute, e.g., href"
+                title="Attribute holding the URL"
+            >
+            <button class="btn btn-danger" data-url-target="${index}" title="Remove this target">
+                🗑️
+            </button>
+        `;
+        container.appendChild(div);
+    });
+}
+
+// Read the URL targets from the form
+function collectUrlTargets() {
+    return Array.from(document.querySelectorAll(".url-target-item")).map(
+        (item) => ({
+            selector: item.querySelector(".target-selector").value.trim(),
+            attribute: item.querySelector(".target-attribute").value.trim(),
+        })
+    );
+}
+
+// Add an empty URL target
+function addUrlTarget() {
+    settings.urlTargets = [
+        ...collectUrlTargets(),
+        { selector: "", attribute: "" },
+    ];
+    renderUrlTargets();
+
+    const selectors = document.querySelectorAll(".target-selector");
+    selectors[selectors.length - 1].focus();
+}
+
+// Remove a URL target
+function removeUrlTarget(index) {
+    settings.urlTargets = collectUrlTargets().filter((_, i) => i !== index);
+    renderUrlTargets();
+}
+
+// Restore the default URL targets
+function resetUrlTargets() {
+    settings.urlTargets = [...DEFAULT_URL_TARGETS];
+    renderUrlTargets();
+    showToast("Default URL targets restored, save to apply", "success");
+}
+
+// Describe a rule for read-only rule lists
+function describeRule(rule) {
+    const parts = [rule.pattern];
+    if (rule.type === "unwrap") {
+        parts.push(`→ ${rule.param}`);
+    } else if (rule.target && rule.target !== "name") {
+        parts.push(`(${rule.target})`);
+    }
+    if (rule.domains) {
+        parts.push(`on ${rule.domains.join(", ")}`);
+    }
+    return parts.join(" ");
+}
+
+// Render the bundled rule packs
+function renderPacks() {
+    const container = document.getElementById("packs-container");
+    container.innerHTML = "";
+
+    document.getElementById("catalog-version").textContent =
+        RULE_CATALOG.version;
+
+    RULE_CATALOG.packs.forEach((pack) => {
+        const enabled = isPackEnabled(pack, settings.enabledPacks);
+        const div = document.createElement("div");
+        div.className = "pack-item";
+        div.innerHTML = `
+            <div class="pack-header">
+                <div>
+                    <strong>${escapeHtml(pack.name)}</strong>
+                    <span class="pack-version">v${pack.version}</span>
+                    <p class="pack-description">${escapeHtml(
+                        pack.description
+                    )}</p>
+                </div>
+                <div class="toggle ${enabled ? "active" : ""}" data-pack="${
+            pack.id
+        }" title="Enable or disable all rules of this pack">
+                    <div class="toggle-slider"></div>
+                </div>
+            </div>
+            <details>
+                <summary>${pack.rules.length} rule(s)</summary>
+                <ul>
+                    ${pack.rules
+                        .map(
+                            (rule) =>
+                                `<li>${escapeHtml(describeRule(rule))}</li>`
+                        )
+                        .join("")}
+                </ul>
+            </details>
+        `;
+        container.appendChild(div);
+    });
+
+    refreshRuleFeedback();
+}
+
+// Toggle a rule pack
+function togglePack(packId) {
+    const pack = RULE_CATALOG.packs.find((pack) => pack.id === packId);
+    if (!pack) return;
+
+    const enabled = !isPackEnabled(pack, settings.enabledPacks);
+    settings.enabledPacks = { ...settings.enabledPacks, [packId]: enabled };
+    renderPacks();
+
+    // Auto-save when toggling
+    chrome.storage.sync.set(
+        {
+            enabledPacks: settings.enabledPacks,
+        },
+        () => {
+            const status = enabled ? "enabled" : "disabled";
+            showToast(`${pack.name} ${status}`, "success");
+        }
+    );
+}
+
+// Render the subscribed rule lists with the state of their last refresh
+function renderSubscriptions() {
+    const container = document.getElementById("subscriptions-container");
+    container.innerHTML = "";
+
+    settings.subscriptions.forEach(({ url }, index) => {
+        const cached = subscriptionCache[url] || {};
+        const status = cached.lastUpdated
+            ? `${cached.rules.length} rule(s), updated ${new Date(
+                  cached.lastUpdated
+              ).toLocaleString()}`
+            : "Not downloaded yet";
+
+        const div = document.createElement("div");
+        div.className = "pack-item";
+        div.innerHTML = `
+            <div class="pack-header">
+                <div>
+                    <strong class="subscription-url">${escapeHtml(url)}</strong>
+                    <p class="pack-description">${escapeHtml(status)}</p>
+                    ${
+                        cached.lastError
+                            ? `<p class="subscription-error">⚠️ ${escapeHtml(
+                                  cached.lastError
+                              )}</p>`
+                            : ""
+                    }
+                </div>
+                <button class="btn btn-danger" data-subscription="${index}" title="Unsubscribe from this list">
+                    🗑️
+                </button>
+            </div>
+        `;
+        container.appendChild(div);
+    });
+
+    if (!container.hasChildNodes()) {
+        renderEmptyState(
+            container,
+            "No subscriptions yet",
+            "Enter the URL of a ClearURLs or AdGuard/uBlock rule list to keep it up to date"
+        );
+    }
+
+    refreshRuleFeedback();
+}
+
+// Subscribe to a remote rule list
+function addSubscription() {
+    const input = document.getElementById("subscription-url");
+    const url = input.value.trim();
+
+    try {
+        if (!["http:", "https:"].includes(new URL(url).protocol)) {
+            throw new Error("Unsupported protocol");
+        }
+    } catch (e) {
+        showToast("Enter a valid http(s) URL", "error");
+        return;
+    }
+
+    if (
+        settings.subscriptions.some((subscription) => subscription.url === url)
+    ) {
+        showToast("Already subscribed to this list", "error");
+        return;
+    }
+
+    settings.subscriptions = [...settings.subscriptions, { url }];
+    input.value = "";
+    renderSubscriptions();
+
+    // The background script downloads new lists right away
+    chrome.storage.sync.set(
+        {
+            subscriptions: settings.subscriptions,
+        },
+        () => {
+            showToast("Subscribed, downloading rules...", "success");
+        }
+    );
+}
+
+// Unsubscribe from a remote rule list
+function removeSubscription(index) {
+    settings.subscriptions = settings.subscriptions.filter(
+        (_, i) => i !== index
+    );
+    renderSubscriptions();
+
+    chrome.storage.sync.set(
+        {
+            subscriptions: settings.subscriptions,
+        },
+        () => {
+            showToast("Subscription removed", "success");
+        }
+    );
+}
+
+// Refresh every subscribed rule list now
+function refreshSubscriptions() {
+    const button = document.getElementById("refreshSubscriptions");
+    button.disabled = true;
+
+    chrome.runtime.sendMessage(
+        { action: "refreshSubscriptions" },
+        (response) => {
+            button.disabled = false;
+            if (response && response.success) {
+                showToast("Subscriptions refreshed", "success");
+            } else {
+                showToast("Failed to refresh subscriptions", "error");
+            }
+        }
+    );
+}
+
+// Read the stored rules and the settings included in exports
+function getStoredConfig(callback) {
+    chrome.storage.sync.get(CONFIG_SETTINGS, (storedSettings) => {
+        loadStoredRules().then((rules) =>
+            callback({ rules, settings: storedSettings })
+        );
+    });
+}
+
+// Export rules and settings as a versioned JSON file
+function exportConfig() {
+    getStoredConfig(({ rules, settings: storedSettings }) => {
+        const config = {
+            schemaVersion: CONFIG_SCHEMA_VERSION,
+            rules,
+            settings: storedSettings,
+            metadata: {
+                exportedAt: new Date().toISOString(),
+                extensionVersion: chrome.runtime.getManifest().version,
+            },
+        };
+
+        const blob = new Blob([JSON.stringify(config, null, 2)], {
+            type: "application/json",
+        });
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `cleanurls-config-${config.metadata.exportedAt.slice(
+            0,
+            10
+        )}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        showToast(`Exported ${rules.length} rule(s) and settings`, "success");
+    });
+}
+
+// Check whether an imported setting has the same shape as its default
+function isValidSetting(key, value) {
+    const defaultValue = CONFIG_SETTINGS[key];
+
+    if (Array.isArray(defaultValue)) {
+        return (
+            Array.isArray(value) && value.every(SETTING_ITEM_VALIDATORS[key])
+        );
+    }
+    if (typeof defaultValue === "object") {
+        return (
+            typeof value === "object" && value !== null && !Array.isArray(value)
+        );
+    }
+    return typeof value === typeof defaultValue;
+}
+
+// Validate an imported configuration document. Settings this version
+// doesn't know about are ignored
+function validateConfig(data) {
+    if (!data || typeof data !== "object" || !Array.isArray(data.rules)) {
+        return { errors: ["Not a CleanURLs configuration file"] };
+    }
+
+    const errors = [];
+    if (
+        !Number.isInteger(data.schemaVersion) ||
+        data.schemaVersion < 1 ||
+        data.schemaVersion > CONFIG_SCHEMA_VERSION
+    ) {
+        errors.push(`Unsupported schema version: ${data.schemaVersion}`);
+    }
+
+    data.rules.forEach((rule, index) => {
+        const isValid =
+            hasValidRuleShape(rule) &&
+            (rule.priority === undefined || Number.isInteger(rule.priority)) &&
+            isValidRegex(rule);
+        if (!isValid) {
+            errors.push(
+                `Rule ${index + 1} (${
+                    rule?.pattern
+                }): invalid type, target, domains, regex, flags, replacement or priority`
+            );
+        }
+    });
+
+    const importedSettings = {};
+    for (const [key, value] of Object.entries(data.settings || {})) {
+        if (!(key in CONFIG_SETTINGS)) continue;
+
+        if (isValidSetting(key, value)) {
+            importedSettings[key] = value;
+        } else {
+            errors.push(`Setting ${key} has an invalid value`);
+        }
+    }
+
+    return {
+        errors,
+        config: {
+            rules: data.rules,
+            settings: importedSettings,
+            metadata: data.metadata || {},
+        },
+    };
+}
+
+// Combine the stored configuration with an imported one. Merging keeps
+// everything stored and adds what is new, replacing keeps only the import
+function resolveImportedConfig(current, incoming, mode) {
+    if (mode === "replace") {
+        return {
+            rules: incoming.rules,
+            settings: { ...CONFIG_SETTINGS, ...incoming.settings },
+        };
+    }
+
+    const ruleKeys = new Set(current.rules.map(ruleKey));
+    const subscriptionUrls = new Set(
+        current.settings.subscriptions.map(({ url }) => url)
+    );
+
+    return {
+        rules: [
+            ...current.rules,
+            ...incoming.rules.filter((rule) => !ruleKeys.has(ruleKey(rule))),
+        ],
+        settings: {
+            ...current.settings,
+            ...incoming.settings,
+            allowlist: [
+                ...new Set([
+                    ...current.settings.allowlist,
+                    ...(incoming.settings.allowlist || []),
+                ]),
+            ],
+            historyExcludedSites: [
+                ...new Set([
+                    ...current.settings.historyExcludedSites,
+                    ...(incoming.settings.historyExcludedSites || []),
+                ]),
+            ],
+            enabledPacks: {
+                ...current.settings.enabledPacks,
+                ...incoming.settings.enabledPacks,
+            },
+            subscriptions: [
+                ...current.settings.subscriptions,
+                ...(incoming.settings.subscriptions || []).filter(
+                    ({ url }) => !subscriptionUrls.has(url)
+                ),
+            ],
+        },
+    };
+}
+
+// Read a configuration file and preview what importing it would change
+function importConfigFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        let data;
+        try {
+            data = JSON.parse(reader.result);
+        } catch (e) {
+            renderConfigErrors(file.name, ["The file is not valid JSON"]);
+            return;
+        }
+
+        const { errors, config } = validateConfig(data);
+        if (errors.length > 0) {
+            renderConfigErrors(file.name, errors);
+            return;
+        }
+
+        getStoredConfig((current) => {
+            pendingConfig = {
+                fileName: file.name,
+                current,
+                incoming: config,
+                mode: "merge",
+            };
+            renderConfigPreview();
+        });
+    };
+
+    reader.onerror = () => {
+        showToast(`Could not read ${file.name}`, "error");
+    };
+
+    reader.readAsText(file);
+}
+
+// Show why a configuration file cannot be imported
+function renderConfigErrors(fileName, errors) {
+    pendingConfig = null;
+    document.getElementById("config-preview").innerHTML = `
+        <div class="info-box">
+            <h3>${escapeHtml(fileName)} cannot be imported</h3>
+            <ul>
+                ${errors
+                    .map((error) => `<li>${escapeHtml(error)}</li>`)
+                    .join("")}
+            </ul>
+        </div>
+    `;
+    showToast("Configuration file is invalid", "error");
+}
+
+// Show the changes an import would make before anything is written
+function renderConfigPreview() {
+    const { fileName, current, incoming, mode } = pendingConfig;
+    const result = resolveImportedConfig(current, incoming, mode);
+    pendingConfig.result = result;
+
+    const currentKeys = new Set(current.rules.map(ruleKey));
+    const resultKeys = new Set(result.rules.map(ruleKey));
+    const addedRules = result.rules.filter(
+        (rule) => !currentKeys.has(ruleKey(rule))
+    );
+    const removedRules = current.rules.filter(
+        (rule) => !resultKeys.has(ruleKey(rule))
+    );
+    const changedSettings = Object.keys(CONFIG_SETTINGS).filter(
+        (key) =>
+            JSON.stringify(current.settings[key]) !==
+            JSON.stringify(result.settings[key])
+    );
+
+    const diffItems = [
+        ...addedRules.map(
+            (rule) =>
+                `<li class="diff-added">+ ${escapeHtml(
+                    describeRule(rule)
+                )}</li>`
+        ),
+        ...removedRules.map(
+            (rule) =>
+                `<li class="diff-removed">− ${escapeHtml(
+                    describeRule(rule)
+                )}</li>`
+        ),
+        ...changedSettings.map(
+            (key) =>
+                `<li class="diff-changed">~ ${escapeHtml(key)}: ${escapeHtml(
+                    JSON.stringify(result.settings[key])
+                )}</li>`
+        ),
+    ];
+
+    const { exportedAt, extensionVersion } = incoming.metadata;
+    const source = exportedAt
+        ? `Exported ${new Date(exportedAt).toLocaleString()}${
+              extensionVersion ? ` from version ${extensionVersion}` : ""
+          }`
+        : "No export details";
+
+    document.getElementById("config-preview").innerHTML = `
+        <div class="info-box">
+            <h3>${escapeHtml(fileName)}</h3>
+            <p>${escapeHtml(source)}</p>
+            <div class="import-mode">
+                <label class="checkbox-label">
+                    <input type="radio" name="import-mode" value="merge" ${
+                        mode === "merge" ? "checked" : ""
+                    }>
+                    Merge with the current configuration
+                </label>
+                <label class="checkbox-label">
+                    <input type="radio" name="import-mode" value="replace" ${
+                        mode === "replace" ? "checked" : ""
+                    }>
+                    Replace the current configuration
+                </label>
+            </div>
+            ${
+                diffItems.length > 0
+                    ? `<ul class="config-diff">${diffItems.join("")}</ul>`
+                    : "<p>Importing this file changes nothing.</p>"
+            }
+            <div class="actions">
+                <button id="applyConfig" class="btn btn-success" ${
+                    diffItems.length > 0 ? "" : "disabled"
+                }>
+                    ✅ Apply Import
+                </button>
+                <button id="cancelConfig" class="btn btn-secondary">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Write the previewed configuration to storage
+function applyImportedConfig() {
+    const { rules, settings: importedSettings } = pendingConfig.result;
+
+    saveRulesFromThisDevice(rules)
+        .then(async (area) => {
+            if (!area) return;
+            await chrome.storage.sync.set(importedSettings);
+
+            pendingConfig = null;
+            document.getElementById("config-preview").innerHTML = "";
+
+            currentRules = [...rules];
+            settings = { ...importedSettings };
+            document.getElementById("allowlist").value =
+                settings.allowlist.join("\n");
+            document.getElementById("history-excluded-sites").value =
+                settings.historyExcludedSites.join("\n");
+            renderRules(currentRules);
+            renderUrlTargets();
+            renderPacks();
+            renderSubscriptions();
+            updateBadgeToggle();
+            updateCleanOnCopyToggle();
+            updateCleanHistoryToggle();
+
+            chrome.runtime.sendMessage({
+                action: "updateBadge",
+                showBadge: settings.showBadge,
+            });
+            showToast(
+                `Imported ${rules.length} rule(s) and settings`,
+                "success"
+            );
+        })
+        .catch((error) => {
+            showToast("Error importing: " + error.message, "error");
+        });
+}
+
+// Drop the previewed configuration without writing anything
+function cancelImportedConfig() {
+    pendingConfig = null;
+    document.getElementById("config-preview").innerHTML = "";
+}
 
 // Toggle badge
 function toggleBadge() {
@@ -247,6 +1759,64 @@ function toggleBadge() {
     );
 }
 
+// Toggle cleaning URLs in copied text
+function toggleCleanOnCopy() {
+    settings.cleanOnCopy = !settings.cleanOnCopy;
+    updateCleanOnCopyToggle();
+
+    // Auto-save when toggling
+    chrome.storage.sync.set(
+        {
+            cleanOnCopy: settings.cleanOnCopy,
+        },
+        () => {
+            const status = settings.cleanOnCopy ? "enabled" : "disabled";
+            showToast(`Clean on copy ${status}`, "success");
+        }
+    );
+}
+
+// Update clean on copy toggle UI
+function updateCleanOnCopyToggle() {
+    const toggle = document.getElementById("copy-toggle");
+    if (toggle) {
+        if (settings.cleanOnCopy) {
+            toggle.classList.add("active");
+        } else {
+            toggle.classList.remove("active");
+        }
+    }
+}
+
+// Toggle cleaning the address bar through the History API
+function toggleCleanHistory() {
+    settings.cleanHistory = !settings.cleanHistory;
+    updateCleanHistoryToggle();
+
+    // Auto-save when toggling
+    chrome.storage.sync.set(
+        {
+            cleanHistory: settings.cleanHistory,
+        },
+        () => {
+            const status = settings.cleanHistory ? "enabled" : "disabled";
+            showToast(`Address bar cleaning ${status}`, "success");
+        }
+    );
+}
+
+// Update address bar cleaning toggle UI
+function updateCleanHistoryToggle() {
+    const toggle = document.getElementById("history-toggle");
+    if (toggle) {
+        if (settings.cleanHistory) {
+            toggle.classList.add("active");
+        } else {
+            toggle.classList.remove("active");
+        }
+    }
+}
+
 // Update badge toggle UI
 function updateBadgeToggle() {
     const toggle = document.getElementById("badge-toggle");
@@ -264,13 +1834,30 @@ document.addEventListener("DOMContentLoaded", function () {
     // Load existing rules and settings
     chrome.storage.sync.get(
         {
-            rules: [],
             showBadge: true,
+            cleanOnCopy: false,
+            cleanHistory: false,
+            allowlist: [],
+            historyExcludedSites: [],
+            urlTargets: DEFAULT_URL_TARGETS,
+            enabledPacks: {},
+            subscriptions: [],
         },
-        (data) => {
-            currentRules = data.rules || [];
+        async (data) => {
+            currentRules = await loadStoredRules();
             settings.showBadge =
                 data.showBadge !== undefined ? data.showBadge : true;
+            settings.cleanOnCopy = data.cleanOnCopy;
+            settings.cleanHistory = data.cleanHistory;
+            settings.allowlist = data.allowlist || [];
+            settings.historyExcludedSites = data.historyExcludedSites || [];
+            settings.urlTargets = data.urlTargets || DEFAULT_URL_TARGETS;
+            settings.enabledPacks = data.enabledPacks || {};
+            settings.subscriptions = data.subscriptions || [];
+            document.getElementById("allowlist").value =
+                settings.allowlist.join("\n");
+            document.getElementById("history-excluded-sites").value =
+                settings.historyExcludedSites.join("\n");
 
             // If no rules exist, show default rules as suggestion
             if (currentRules.length === 0) {
@@ -278,12 +1865,56 @@ document.addEventListener("DOMContentLoaded", function () {
             }
 
             renderRules(currentRules);
+            renderUrlTargets();
+            renderPacks();
             updateBadgeToggle();
+            updateCleanOnCopyToggle();
+            updateCleanHistoryToggle();
+            renderRuleStorageUsage();
         }
     );
 
+    // Subscribed rule lists and the redirect rules status are kept by the
+    // background script
+    chrome.storage.local.get(
+        { subscriptionCache: {}, redirectRulesStatus: null },
+        (data) => {
+            subscriptionCache = data.subscriptionCache;
+            renderSubscriptions();
+            renderRedirectRulesStatus(data.redirectRulesStatus);
+        }
+    );
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+        if (namespace === "local" && changes.subscriptionCache) {
+            subscriptionCache = changes.subscriptionCache.newValue || {};
+            renderSubscriptions();
+        }
+        if (namespace === "local" && changes.redirectRulesStatus) {
+            renderRedirectRulesStatus(changes.redirectRulesStatus.newValue);
+        }
+        if (
+            namespace === "sync" ||
+            haveStoredRulesChanged(changes, namespace)
+        ) {
+            renderRuleStorageUsage();
+        }
+    });
+
+    setupRuleDragAndDrop(document.getElementById("rules-container"));
+    setupRuleDragAndDrop(document.getElementById("unwrap-rules-container"));
+    setupRuleDragAndDrop(document.getElementById("keep-rules-container"));
+
     // Button event listeners
-    document.getElementById("addRule").addEventListener("click", addNewRule);
+    document
+        .getElementById("addRule")
+        .addEventListener("click", () => addNewRule());
+    document
+        .getElementById("addUnwrapRule")
+        .addEventListener("click", () => addNewRule("unwrap"));
+    document
+        .getElementById("addKeepRule")
+        .addEventListener("click", () => addNewRule("keep"));
     document
         .getElementById("addDefaults")
         .addEventListener("click", loadDefaultRules);
@@ -292,10 +1923,107 @@ document.addEventListener("DOMContentLoaded", function () {
         .addEventListener("click", clearAllRules);
     document.getElementById("save").addEventListener("click", saveRules);
 
+    // URL targets
+    document
+        .getElementById("addUrlTarget")
+        .addEventListener("click", addUrlTarget);
+    document
+        .getElementById("resetUrlTargets")
+        .addEventListener("click", resetUrlTargets);
+    document
+        .getElementById("url-targets-container")
+        .addEventListener("click", (e) => {
+            const button = e.target.closest("[data-url-target]");
+            if (button) {
+                removeUrlTarget(Number(button.dataset.urlTarget));
+            }
+        });
+
+    // Rule list import
+    const importFileInput = document.getElementById("import-file");
+    document
+        .getElementById("importRules")
+        .addEventListener("click", () => importFileInput.click());
+    importFileInput.addEventListener("change", () => {
+        if (importFileInput.files[0]) {
+            importRuleListFile(importFileInput.files[0]);
+        }
+        importFileInput.value = "";
+    });
+
+    // Configuration backup
+    const configFileInput = document.getElementById("config-file");
+    document
+        .getElementById("exportConfig")
+        .addEventListener("click", exportConfig);
+    document
+        .getElementById("importConfig")
+        .addEventListener("click", () => configFileInput.click());
+    configFileInput.addEventListener("change", () => {
+        if (configFileInput.files[0]) {
+            importConfigFile(configFileInput.files[0]);
+        }
+        configFileInput.value = "";
+    });
+
+    const configPreview = document.getElementById("config-preview");
+    configPreview.addEventListener("change", (e) => {
+        if (e.target.name === "import-mode") {
+            pendingConfig.mode = e.target.value;
+            renderConfigPreview();
+        }
+    });
+    configPreview.addEventListener("click", (e) => {
+        if (e.target.closest("#applyConfig")) {
+            applyImportedConfig();
+        } else if (e.target.closest("#cancelConfig")) {
+            cancelImportedConfig();
+        }
+    });
+
+    // Rule list subscriptions
+    document
+        .getElementById("addSubscription")
+        .addEventListener("click", addSubscription);
+    document
+        .getElementById("subscription-url")
+        .addEventListener("keydown", (e) => {
+            if (e.key === "Enter") {
+                addSubscription();
+            }
+        });
+    document
+        .getElementById("refreshSubscriptions")
+        .addEventListener("click", refreshSubscriptions);
+    document
+        .getElementById("subscriptions-container")
+        .addEventListener("click", (e) => {
+            const button = e.target.closest("[data-subscription]");
+            if (button) {
+                removeSubscription(Number(button.dataset.subscription));
+            }
+        });
+
+    // Rule pack toggles
+    document
+        .getElementById("packs-container")
+        .addEventListener("click", (e) => {
+            const toggle = e.target.closest(".toggle[data-pack]");
+            if (toggle) {
+                togglePack(toggle.dataset.pack);
+            }
+        });
+
     // Badge toggle event listener
     document
         .getElementById("badge-toggle")
         .addEventListener("click", toggleBadge);
+    document
+        .getElementById("copy-toggle")
+        .addEventListener("click", toggleCleanOnCopy);
+    document
+        .getElementById("history-toggle")
+        .addEventListener("click", toggleCleanHistory);
 
     // Keyboard shortcuts
     document.addEventListener("keydown", function (e) {
@@ -316,23 +2044,20 @@ document.addEventListener("DOMContentLoaded", function () {
     // Auto-save on input change (debounced)
     let autoSaveTimeout;
     document.addEventListener("input", function (e) {
-        if (e.target.matches(".pattern") || e.target.matches(".replacement")) {
+        // Conflicts and the tester follow every keystroke in the rule editor
+        if (e.target.closest(".rule-item")) {
+            refreshRuleFeedback();
+        } else if (e.target.closest(".tester-inputs")) {
+            runRuleTester();
+        }
+
+        if (e.target.closest(".rule-item")) {
             clearTimeout(autoSaveTimeout);
             autoSaveTimeout = setTimeout(() => {
                 // Update currentRules array
-                const patterns = Array.from(
-                    document.querySelectorAll(".pattern")
-                ).map((i) => i.value.trim());
-                const replacements = Array.from(
-                    document.querySelectorAll(".replacement")
-                ).map((i) => i.value.trim());
-
-                currentRules = patterns
-                    .map((pattern, index) => ({
-                        pattern: pattern,
-                        replacement: replacements[index] || "",
-                    }))
-                    .filter((rule) => rule.pattern.length > 0);
+                currentRules = collectRules().filter(
+                    (rule) => rule.pattern.length > 0
+                );
             }, 500);
         }
     });
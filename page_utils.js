@@ -0,0 +1,13 @@
+/**
+ * CleanURLs Page Utilities
+ * Helpers shared by the options, statistics and benchmark pages
+ */
+
+// Escape text for use inside HTML markup
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
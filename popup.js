@@ -9,12 +9,16 @@ class PopupController {
         this.stats = {
             rulesCount: 0,
             activeTabs: 0,
+            totalCleaned: 0,
             version: "1.3.1",
         };
         this.currentTabStats = {
             cleanedLinksCount: 0,
+            interceptedNavigationsCount: 0,
             domain: "unknown",
         };
+        this.currentTabId = null;
+        this.cleaningLog = []; // What the content script changed on the page
         this.init();
     }
 
@@ -25,6 +29,7 @@ class PopupController {
         try {
             await this.loadStats();
             await this.loadCurrentTabStats();
+            await this.loadCleaningLog();
             this.setupEventListeners();
             this.updateUI();
             this.hideLoading();
@@ -54,6 +59,8 @@ class PopupController {
         return new Promise((resolve) => {
             chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
                 if (tabs[0]?.id) {
+                    this.currentTabId = tabs[0].id;
+
                     // Add a small delay to ensure content script is ready
                     setTimeout(() => {
                         chrome.runtime.sendMessage(
@@ -93,6 +100,11 @@ class PopupController {
                 this.openOptions();
             });
 
+        // Open the statistics page
+        document.getElementById("open-stats").addEventListener("click", () => {
+            this.openStats();
+        });
+
         // Reload rules
         document
             .getElementById("reload-rules")
@@ -107,9 +119,33 @@ class PopupController {
                 this.resetToDefaults();
             });
 
+        // Disable or re-enable cleaning on the current site
+        document.getElementById("toggle-site").addEventListener("click", () => {
+            this.toggleSite();
+        });
+
+        // Pause cleaning in the current tab
+        document.getElementById("pause-tab").addEventListener("click", () => {
+            this.pauseTab();
+        });
+
+        // Turn address bar cleaning off or on for the current site
+        document
+            .getElementById("toggle-history")
+            .addEventListener("click", () => {
+                this.toggleHistorySite();
+            });
+
+        // Copy the cleaned URL of the current page
+        document
+            .getElementById("copy-clean-url")
+            .addEventListener("click", () => {
+                this.copyCleanUrl();
+            });
+
         // Listen for storage changes to update UI
         chrome.storage.onChanged.addListener((changes, namespace) => {
-            if (namespace === "sync" && changes.rules) {
+            if (haveStoredRulesChanged(changes, namespace)) {
                 this.loadStats().then(() => this.updateUI());
             }
         });
@@ -127,6 +163,10 @@ class PopupController {
         document.getElementById("tabs-count").textContent =
             this.currentTabStats.cleanedLinksCount || 0;
 
+        // Update navigations cleaned right when they happened
+        document.getElementById("intercepted-count").textContent =
+            this.currentTabStats.interceptedNavigationsCount || 0;
+
         // Update the label for the second stat
         const tabsLabel = document.querySelector(
             ".stat-item:nth-child(2) .stat-label"
@@ -148,13 +188,29 @@ class PopupController {
             domainInfo.style.display = "none";
         }
 
+        // Show the lifetime total on the statistics button
+        const totalCleaned = (this.stats.totalCleaned || 0).toLocaleString();
+        document.getElementById(
+            "open-stats"
+        ).textContent = `📊 Statistics: ${totalCleaned} URLs cleaned`;
+
         // Update version
         document.getElementById("version").textContent =
             this.stats.version || "1.3.1";
 
         // Update status
         const statusElement = document.getElementById("status");
-        if (this.stats.rulesCount > 0) {
+        if (this.currentTabStats.paused === "site") {
+            statusElement.className = "status inactive";
+            statusElement.innerHTML = `
+                <strong>⏸️ Paused</strong><br>
+                Cleaning is disabled on this site`;
+        } else if (this.currentTabStats.paused === "tab") {
+            statusElement.className = "status inactive";
+            statusElement.innerHTML = `
+                <strong>⏸️ Paused</strong><br>
+                Cleaning is paused in this tab until reload`;
+        } else if (this.stats.rulesCount > 0) {
             statusElement.className = "status active";
             statusElement.innerHTML = `
                 <strong>🟢 Active</strong><br>
@@ -177,6 +233,315 @@ class PopupController {
                 domainInfo.style.display = "block";
             }
         }
+
+        this.updateSiteControls();
+        this.renderCleaningLog();
+    }
+
+    /**
+     * Update the site pause controls for the current tab
+     */
+    updateSiteControls() {
+        const siteControls = document.getElementById("site-controls");
+        const { domain, paused } = this.currentTabStats;
+
+        // Only pages with a content script can be paused
+        if (!domain || domain === "unknown") {
+            siteControls.style.display = "none";
+            return;
+        }
+
+        siteControls.style.display = "flex";
+        document.getElementById("toggle-site").textContent =
+            paused === "site"
+                ? `▶️ Enable on ${domain}`
+                : `🚫 Disable on ${domain}`;
+
+        const pauseButton = document.getElementById("pause-tab");
+        pauseButton.disabled = Boolean(paused);
+
+        // Address bar cleaning is opt-in, so its switch only shows when on
+        const { cleanHistory, historyExcludedMatches } = this.currentTabStats;
+        const historyButton = document.getElementById("toggle-history");
+        historyButton.style.display = cleanHistory ? "" : "none";
+        historyButton.textContent =
+            historyExcludedMatches && historyExcludedMatches.length > 0
+                ? `🧭 Clean address bar on ${domain}`
+                : `🧭 Keep address bar on ${domain}`;
+    }
+
+    /**
+     * Load the cleaning log of the current page
+     */
+    async loadCleaningLog() {
+        if (!this.currentTabId) return;
+
+        try {
+            const response = await chrome.tabs.sendMessage(
+                this.currentTabId,
+                { action: "getCleaningLog" },
+                { frameId: 0 }
+            );
+            this.cleaningLog = response?.entries || [];
+        } catch (error) {
+            // Tab without content script
+            this.cleaningLog = [];
+        }
+    }
+
+    /**
+     * Render the cleaning log of the current page
+     */
+    renderCleaningLog() {
+        const logElement = document.getElementById("cleaning-log");
+        const { domain } = this.currentTabStats;
+
+        // Only pages with a content script keep a log
+        if (!domain || domain === "unknown") {
+            logElement.style.display = "none";
+            return;
+        }
+
+        logElement.style.display = "block";
+        document.getElementById("log-count").textContent =
+            this.cleaningLog.length;
+
+        const container = document.getElementById("log-entries");
+        container.innerHTML = "";
+        if (this.cleaningLog.length === 0) {
+            container.innerHTML =
+                '<p class="log-empty">Nothing was cleaned on this page yet</p>';
+            return;
+        }
+
+        for (const entry of this.cleaningLog) {
+            container.appendChild(this.createLogEntry(entry));
+        }
+    }
+
+    /**
+     * Create the element showing a log entry: the URL before and after
+     * cleaning, the rules that changed it and what can be undone
+     */
+    createLogEntry(entry) {
+        const div = document.createElement("div");
+        div.className = "log-entry";
+
+        const meta = document.createElement("div");
+        meta.className = "log-meta";
+        const source = document.createElement("span");
+        source.textContent = entry.source;
+        const time = document.createElement("span");
+        time.textContent = new Date(entry.time).toLocaleTimeString();
+        meta.append(source, time);
+
+        const diff = this.diffUrls(entry.original, entry.cleaned);
+        div.append(
+            meta,
+            this.createDiffLine(diff.original, "diff-removed"),
+            this.createDiffLine(diff.cleaned, "diff-added")
+        );
+
+        // One line per rule, with the parameters it removed or replaced
+        const rules = new Map();
+        for (const { rule, param } of entry.changes) {
+            const key = getRuleStatsKey(rule);
+            if (!rules.has(key)) rules.set(key, { rule, params: [] });
+            if (param) rules.get(key).params.push(param);
+        }
+
+        const ruleList = document.createElement("div");
+        ruleList.className = "log-rules";
+        for (const { rule, params } of rules.values()) {
+            ruleList.appendChild(this.createLogRule(rule, params));
+        }
+        div.appendChild(ruleList);
+
+        if (entry.restorable) {
+            const restoreButton = document.createElement("button");
+            restoreButton.className = "btn btn-secondary btn-small log-restore";
+            restoreButton.textContent = "↩️ Restore this link";
+            restoreButton.addEventListener("click", () => {
+                this.restoreLogEntry(entry.id, restoreButton);
+            });
+            div.appendChild(restoreButton);
+        }
+
+        return div;
+    }
+
+    /**
+     * Create the line naming a rule of a log entry, with a button to
+     * disable it
+     */
+    createLogRule(rule, params) {
+        const row = document.createElement("div");
+        row.className = "log-rule";
+
+        const label = document.createElement("span");
+        const pattern = document.createElement("code");
+        pattern.textContent = rule.pattern;
+        label.append(pattern, ` (${describeRuleSource(rule)})`);
+        if (params.length > 0) {
+            label.append(`: ${params.join(", ")}`);
+        }
+        row.appendChild(label);
+
+        // Rules of a subscribed list only go away with the subscription
+        if (!rule.subscription) {
+            const disableButton = document.createElement("button");
+            disableButton.className = "btn btn-secondary btn-small";
+            disableButton.textContent = "🚫 Disable";
+            disableButton.title = rule.pack
+                ? "Disable the rule pack this rule belongs to"
+                : "Disable this custom rule";
+            disableButton.addEventListener("click", () => {
+                this.disableRule(rule, disableButton);
+            });
+            row.appendChild(disableButton);
+        }
+
+        return row;
+    }
+
+    /**
+     * Compare an original and a cleaned URL part by part, with parts
+     * being the pieces between slashes, "?", "&" and "#". Returns both
+     * URLs as lists of runs, flagged when they only appear in one of them
+     */
+    diffUrls(original, cleaned) {
+        const a = original.match(/[^/?&#]+|[/?&#]/g) || [];
+        const b = cleaned.match(/[^/?&#]+|[/?&#]/g) || [];
+
+        // Longest common subsequence of the parts
+        const lengths = Array.from({ length: a.length + 1 }, () =>
+            new Array(b.length + 1).fill(0)
+        );
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] =
+                    a[i] === b[j]
+                        ? lengths[i + 1][j + 1] + 1
+                        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const addPart = (runs, text, changed) => {
+            const last = runs[runs.length - 1];
+            if (last && last.changed === changed) {
+                last.text += text;
+            } else {
+                runs.push({ text, changed });
+            }
+        };
+
+        const diff = { original: [], cleaned: [] };
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                addPart(diff.original, a[i++], false);
+                addPart(diff.cleaned, b[j++], false);
+            } else if (
+                j >= b.length ||
+                (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])
+            ) {
+                addPart(diff.original, a[i++], true);
+            } else {
+                addPart(diff.cleaned, b[j++], true);
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Create a line showing a URL of a diff, highlighting its changed runs
+     */
+    createDiffLine(runs, changedClass) {
+        const line = document.createElement("div");
+        line.className = "log-url";
+
+        for (const { text, changed } of runs) {
+            if (changed) {
+                const span = document.createElement("span");
+                span.className = changedClass;
+                span.textContent = text;
+                line.appendChild(span);
+            } else {
+                line.append(text);
+            }
+        }
+
+        return line;
+    }
+
+    /**
+     * Put the original URL of a log entry back into the page
+     */
+    async restoreLogEntry(id, button) {
+        button.disabled = true;
+
+        try {
+            const response = await chrome.tabs.sendMessage(
+                this.currentTabId,
+                { action: "restoreLogEntry", id },
+                { frameId: 0 }
+            );
+            if (response?.error) {
+                button.textContent = "❌ Failed";
+            } else {
+                button.textContent = response?.success
+                    ? "✅ Restored until reload"
+                    : "❌ The link has changed since";
+            }
+        } catch (error) {
+            button.textContent = "❌ Failed";
+        }
+    }
+
+    /**
+     * Disable the rule behind a change. Pack rules can only be disabled
+     * with their whole pack
+     */
+    async disableRule(rule, button) {
+        try {
+            if (rule.pack) {
+                const packName = describeRuleSource(rule);
+                if (
+                    !confirm(
+                        `Rules of the "${packName}" pack can only be disabled together. Disable the whole pack?`
+                    )
+                ) {
+                    return;
+                }
+
+                const { enabledPacks } = await chrome.storage.sync.get({
+                    enabledPacks: {},
+                });
+                await chrome.storage.sync.set({
+                    enabledPacks: { ...enabledPacks, [rule.pack]: false },
+                });
+            } else {
+                // The default rules apply while none are stored
+                const rules = await loadStoredRules();
+                const storedRules = rules.length > 0 ? rules : DEFAULT_RULES;
+
+                await saveStoredRules(
+                    storedRules.map((storedRule) =>
+                        (storedRule.type || "param") === rule.type &&
+                        storedRule.pattern === rule.pattern
+                            ? { ...storedRule, disabled: true }
+                            : storedRule
+                    )
+                );
+            }
+
+            button.textContent = "✅ Disabled";
+            button.disabled = true;
+        } catch (error) {
+            button.textContent = "❌ Failed";
+        }
     }
 
     /**
@@ -209,6 +574,136 @@ class PopupController {
         });
     }
 
+    /**
+     * Open the statistics page
+     */
+    openStats() {
+        chrome.runtime.sendMessage({ action: "openStats" }, () => {
+            window.close();
+        });
+    }
+
+    /**
+     * Add the current site to the allowlist, or remove it again
+     */
+    async toggleSite() {
+        const { domain, paused, allowlistMatches } = this.currentTabStats;
+        const { allowlist } = await chrome.storage.sync.get({ allowlist: [] });
+
+        const updatedAllowlist =
+            paused === "site"
+                ? allowlist.filter(
+                      (entry) => !(allowlistMatches || []).includes(entry)
+                  )
+                : [...allowlist, domain];
+
+        await chrome.storage.sync.set({ allowlist: updatedAllowlist });
+
+        // Give the content script a moment to pick up the change
+        await this.loadCurrentTabStats();
+        this.updateUI();
+    }
+
+    /**
+     * Leave the address bar of the current site alone, or clean it again
+     */
+    async toggleHistorySite() {
+        const { domain, historyExcludedMatches } = this.currentTabStats;
+        const { historyExcludedSites } = await chrome.storage.sync.get({
+            historyExcludedSites: [],
+        });
+
+        const updatedSites =
+            historyExcludedMatches && historyExcludedMatches.length > 0
+                ? historyExcludedSites.filter(
+                      (entry) => !historyExcludedMatches.includes(entry)
+                  )
+                : [...historyExcludedSites, domain];
+
+        await chrome.storage.sync.set({ historyExcludedSites: updatedSites });
+
+        // Give the content script a moment to pick up the change
+        await this.loadCurrentTabStats();
+        this.updateUI();
+    }
+
+    /**
+     * Pause cleaning in the current tab until it is reloaded
+     */
+    async pauseTab() {
+        if (!this.currentTabId) return;
+
+        try {
+            // Stops the navigation redirects in the tab as well
+            await chrome.runtime.sendMessage({
+                action: "pauseTab",
+                tabId: this.currentTabId,
+            });
+        } catch (error) {
+            // Silent error handling
+        }
+
+        try {
+            await chrome.tabs.sendMessage(this.currentTabId, {
+                action: "pauseTab",
+            });
+        } catch (error) {
+            // Tab without content script
+        }
+
+        await this.loadCurrentTabStats();
+        this.updateUI();
+    }
+
+    /**
+     * Compile the rules in effect, with the default rules standing in for
+     * custom rules that were never saved
+     */
+    async createRuleEngine() {
+        const rules = await loadStoredRules();
+        const { enabledPacks, subscriptions } = await chrome.storage.sync.get({
+            enabledPacks: {},
+            subscriptions: [],
+        });
+        const { subscriptionCache } = await chrome.storage.local.get({
+            subscriptionCache: {},
+        });
+
+        return new RuleEngine(
+            getEffectiveRules(
+                rules.length > 0 ? rules : DEFAULT_RULES,
+                enabledPacks,
+                getSubscriptionRules(subscriptions, subscriptionCache)
+            )
+        );
+    }
+
+    /**
+     * Copy the URL of the current page, cleaned with the rules in effect
+     */
+    async copyCleanUrl() {
+        const copyButton = document.getElementById("copy-clean-url");
+        const originalText = copyButton.innerHTML;
+        copyButton.disabled = true;
+
+        try {
+            const tab = await chrome.tabs.get(this.currentTabId);
+            const ruleEngine = await this.createRuleEngine();
+            const { url } = ruleEngine.cleanUrl(tab.url, {
+                pageHost: new URL(tab.url).hostname,
+            });
+            await navigator.clipboard.writeText(url);
+            copyButton.innerHTML = "✅ Copied!";
+        } catch (error) {
+            copyButton.innerHTML = "❌ Failed";
+        }
+
+        setTimeout(() => {
+            copyButton.innerHTML = originalText;
+            copyButton.disabled = false;
+        }, 1500);
+    }
+
     /**
      * Reload rules in all tabs
      */
@@ -0,0 +1,378 @@
+/**
+ * CleanURLs Rule Catalog
+ * Bundled tracker rules grouped into provider packs, shared by all components
+ */
+
+// Default custom rules for generic tracking parameters
+const DEFAULT_RULES = [
+    { pattern: "utm_.*", replacement: "" },
+    { pattern: "ref_.*", replacement: "" },
+    { pattern: "source", replacement: "", exact: true },
+    { pattern: "campaign", replacement: "", exact: true },
+    { pattern: "forcedownload", replacement: "", exact: true },
+];
+
+// Elements and attributes holding URLs that get cleaned on pages
+const DEFAULT_URL_TARGETS = [
+    { selector: "a[href]", attribute: "href" },
+    { selector: "area[href]", attribute: "href" },
+    { selector: "form[action]", attribute: "action" },
+    { selector: "iframe[src]", attribute: "src" },
+    { selector: 'link[rel="canonical"]', attribute: "href" },
+    { selector: "[data-href]", attribute: "data-href" },
+    { selector: "[data-url]", attribute: "data-url" },
+    { selector: 'meta[property="og:url"]', attribute: "content" },
+    { selector: "img[srcset], source[srcset]", attribute: "srcset" },
+];
+
+// Format of the rule snapshot the background script keeps for content
+// scripts. Bump it whenever the snapshot's shape changes
+const RULE_SNAPSHOT_VERSION = 1;
+
+// Provider packs, enabled or disabled as a unit. Bump a pack's version
+// whenever its rules change
+const RULE_CATALOG = {
+    version: 1,
+    packs: [
+        {
+            id: "google",
+            name: "Google Ads & Analytics",
+            description: "Ad click identifiers and Google search redirects",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "gclid", replacement: "", exact: true },
+                { pattern: "gclsrc", replacement: "", exact: true },
+                { pattern: "dclid", replacement: "", exact: true },
+                { pattern: "gbraid", replacement: "", exact: true },
+                { pattern: "wbraid", replacement: "", exact: true },
+                { pattern: "gad_source", replacement: "", exact: true },
+                { pattern: "srsltid", replacement: "", exact: true },
+                { pattern: "_ga", replacement: "", exact: true },
+                {
+                    type: "unwrap",
+                    pattern: "^https?://(www\\.)?google\\.[a-z.]+/url",
+                    param: "^(q|url)$",
+                },
+            ],
+        },
+        {
+            id: "meta",
+            name: "Meta (Facebook & Instagram)",
+            description: "Click identifiers, share tracking and link shims",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "fbclid", replacement: "", exact: true },
+                { pattern: "fb_action_ids", replacement: "", exact: true },
+                { pattern: "fb_action_types", replacement: "", exact: true },
+                { pattern: "fb_ref", replacement: "", exact: true },
+                { pattern: "fb_source", replacement: "", exact: true },
+                { pattern: "mibextid", replacement: "", exact: true },
+                { pattern: "igshid", replacement: "", exact: true },
+                {
+                    pattern: "igsh",
+                    replacement: "",
+                    exact: true,
+                    domains: ["instagram.com"],
+                },
+                {
+                    type: "unwrap",
+                    pattern: "^https?://(l|lm)\\.facebook\\.com/l\\.php",
+                    param: "^u$",
+                },
+                {
+                    type: "unwrap",
+                    pattern: "^https?://l\\.instagram\\.com/",
+                    param: "^u$",
+                },
+            ],
+        },
+        {
+            id: "microsoft",
+            name: "Microsoft Advertising",
+            description: "Bing ads click identifier and search tracking",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "msclkid", replacement: "", exact: true },
+                {
+                    pattern: "cvid",
+                    replacement: "",
+                    exact: true,
+                    domains: ["bing.com"],
+                },
+            ],
+        },
+        {
+            id: "mailchimp",
+            name: "Mailchimp",
+            description: "Email campaign and subscriber identifiers",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "mc_eid", replacement: "", exact: true },
+                { pattern: "mc_cid", replacement: "", exact: true },
+            ],
+        },
+        {
+            id: "hubspot",
+            name: "HubSpot",
+            description: "Email and visitor tracking parameters",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "_hsenc", replacement: "", exact: true },
+                { pattern: "_hsmi", replacement: "", exact: true },
+                { pattern: "__hs(sc|tc|fp)", replacement: "", exact: true },
+                { pattern: "hsCtaTracking", replacement: "", exact: true },
+            ],
+        },
+        {
+            id: "amazon-affiliate",
+            name: "Amazon Affiliate",
+            description: "Affiliate tags, link identifiers and ref paths",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                {
+                    pattern:
+                        "tag|ascsubtag|linkCode|linkId|camp|creative|creativeASIN",
+                    replacement: "",
+                    exact: true,
+                    domains: ["*.amazon.*"],
+                },
+                {
+                    pattern: "(pd_rd|pf_rd)_.*",
+                    replacement: "",
+                    exact: true,
+                    domains: ["*.amazon.*"],
+                },
+                {
+                    pattern: "ref=.*",
+                    replacement: "",
+                    exact: true,
+                    target: "path",
+                    domains: ["*.amazon.*"],
+                },
+            ],
+        },
+        {
+            id: "youtube",
+            name: "YouTube",
+            description: "Share identifiers and outbound link redirects",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                {
+                    pattern: "si|feature",
+                    replacement: "",
+                    exact: true,
+                    domains: ["youtube.com", "youtu.be"],
+                },
+                {
+                    type: "unwrap",
+                    pattern: "^https?://(www\\.)?youtube\\.com/redirect",
+                    param: "^q$",
+                },
+            ],
+        },
+        {
+            id: "tiktok",
+            name: "TikTok",
+            description: "Ad click identifier and share tracking",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "ttclid", replacement: "", exact: true },
+                {
+                    pattern:
+                        "_r|_t|is_from_webapp|sender_device|is_copy_url|share_.*",
+                    replacement: "",
+                    exact: true,
+                    domains: ["tiktok.com"],
+                },
+            ],
+        },
+        {
+            id: "twitter",
+            name: "Twitter / X",
+            description: "Ad click identifier and share tracking",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "twclid", replacement: "", exact: true },
+                {
+                    // Matched with their values, as "s" and "t" are common
+                    // names on the sites these pages link to
+                    pattern: "s=\\d+|t=[\\w-]{22}",
+                    replacement: "",
+                    exact: true,
+                    target: "pair",
+                    domains: ["twitter.com", "x.com"],
+                },
+            ],
+        },
+        {
+            id: "linkedin",
+            name: "LinkedIn",
+            description: "Ad click identifier and in-app tracking",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "li_fat_id", replacement: "", exact: true },
+                {
+                    pattern: "trk|trkCampaign|trackingId",
+                    replacement: "",
+                    exact: true,
+                    domains: ["linkedin.com"],
+                },
+            ],
+        },
+        {
+            id: "marketing-automation",
+            name: "Marketing Automation",
+            description: "Marketo, Oracle Eloqua, Vero and Omeda",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "mkt_tok", replacement: "", exact: true },
+                { pattern: "elqTrack(Id)?", replacement: "", exact: true },
+                { pattern: "vero_(id|conv)", replacement: "", exact: true },
+                { pattern: "oly_(anon|enc)_id", replacement: "", exact: true },
+            ],
+        },
+        {
+            id: "analytics",
+            name: "Web Analytics",
+            description: "Matomo, Piwik, Yandex and Openstat campaign tracking",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                { pattern: "(mtm|pk)_.*", replacement: "", exact: true },
+                { pattern: "yclid", replacement: "", exact: true },
+                { pattern: "_openstat", replacement: "", exact: true },
+            ],
+        },
+        {
+            id: "redirect-wrappers",
+            name: "Outbound Redirects",
+            description: "Reddit and Steam outbound link wrappers",
+            version: 1,
+            enabledByDefault: true,
+            rules: [
+                {
+                    type: "unwrap",
+                    pattern: "^https?://out\\.reddit\\.com/",
+                    param: "^url$",
+                },
+                {
+                    type: "unwrap",
+                    pattern: "^https?://steamcommunity\\.com/linkfilter/",
+                    param: "^(url|u)$",
+                },
+            ],
+        },
+    ],
+};
+
+/**
+ * Check whether a pack is enabled, falling back to its default when the
+ * user never toggled it
+ */
+function isPackEnabled(pack, enabledPacks = {}) {
+    return enabledPacks[pack.id] ?? pack.enabledByDefault;
+}
+
+/**
+ * Collect the cached rules of every subscribed rule list, tagged with the
+ * URL they came from
+ */
+function getSubscriptionRules(subscriptions = [], subscriptionCache = {}) {
+    return subscriptions.flatMap(({ url }) =>
+        (subscriptionCache[url]?.rules || []).map((rule) => ({
+            ...rule,
+            subscription: url,
+        }))
+    );
+}
+
+/**
+ * Combine custom rules with subscribed rules and the rules of every enabled
+ * pack, leaving out disabled custom rules. Custom rules come first so they
+ * win over the others for the same parameter
+ */
+function getEffectiveRules(
+    customRules,
+    enabledPacks = {},
+    subscriptionRules = []
+) {
+    const packRules = RULE_CATALOG.packs
+        .filter((pack) => isPackEnabled(pack, enabledPacks))
+        .flatMap((pack) =>
+            pack.rules.map((rule) => ({ ...rule, pack: pack.id }))
+        );
+
+    return [
+        ...customRules.filter((rule) => !rule.disabled),
+        ...subscriptionRules,
+        ...packRules,
+    ];
+}
+
+/**
+ * Describe where a rule comes from: its pack, the host of its subscribed
+ * list, or the custom rules
+ */
+function describeRuleSource(rule) {
+    if (rule.pack) {
+        const pack = RULE_CATALOG.packs.find(({ id }) => id === rule.pack);
+        return pack ? pack.name : rule.pack;
+    }
+    if (rule.subscription) {
+        try {
+            return new URL(rule.subscription).hostname;
+        } catch (error) {
+            return rule.subscription;
+        }
+    }
+    return "Custom rule";
+}
+
+/**
+ * Identify a rule in the cleaning statistics by where it comes from and
+ * its pattern
+ */
+function getRuleStatsKey(rule) {
+    return JSON.stringify([
+        rule.pack || rule.subscription || "custom",
+        rule.type || "param",
+        rule.pattern,
+    ]);
+}
+
+/**
+ * Get the key of a day in the daily cleaning statistics, in local time
+ */
+function getStatsDayKey(date) {
+    const pad = (number) => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+        date.getDate()
+    )}`;
+}
+
+// Node, for the unit tests
+if (typeof module !== "undefined") {
+    module.exports = {
+        DEFAULT_RULES,
+        DEFAULT_URL_TARGETS,
+        RULE_SNAPSHOT_VERSION,
+        RULE_CATALOG,
+        isPackEnabled,
+        getSubscriptionRules,
+        getEffectiveRules,
+        describeRuleSource,
+        getRuleStatsKey,
+        getStatsDayKey,
+    };
+}
@@ -0,0 +1,545 @@
+/**
+ * CleanURLs Rule Engine
+ * Compiles rules and applies them to URLs without touching the page, so
+ * every component and the unit tests clean URLs the same way
+ */
+
+// How many nested redirect wrappers are followed for a single URL
+const MAX_UNWRAP_DEPTH = 5;
+
+// How many combinations of URL and page host the rules in scope are cached
+// for
+const SCOPED_RULES_CACHE_SIZE = 100;
+
+/**
+ * Compile a domain pattern such as "example.com", "*.example.com" or
+ * "*.amazon.*" into a hostname regex. A domain also matches its subdomains
+ */
+function compileDomainPattern(domain) {
+    const source = domain
+        .trim()
+        .toLowerCase()
+        .replace(/^\*\./, "")
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+
+    return new RegExp(`^(?:.*\\.)?${source}$`, "i");
+}
+
+/**
+ * Get the regex source of a parameter rule. Exact rules must match the
+ * whole name, value or segment
+ */
+function getRuleSource(rule) {
+    return rule.exact ? `^(?:${rule.pattern})$` : rule.pattern;
+}
+
+/**
+ * Get the parameter names a rule spells out literally, such as "tag" in
+ * "tag" or "si" and "feature" in "si|feature"
+ */
+function getLiteralNames(rule) {
+    const source = rule.pattern.replace(/^\^/, "").replace(/\$$/, "");
+    return /^[\w-]+(\|[\w-]+)*$/.test(source) ? source.split("|") : [];
+}
+
+class RuleEngine {
+    /**
+     * Compile rules. Without indexNames every parameter is tested against
+     * every rule one after another, which the benchmark compares against
+     */
+    constructor(rules = [], { indexNames = true } = {}) {
+        this.configRules = [];
+        this.unwrapRules = [];
+        this.keepRules = [];
+        this.indexNames = indexNames;
+        this.literalNameRules = new Map(); // Lowercase name to its rules
+        this.combinedNamePattern = null;
+        this.scopedRulesCache = new Map(); // Hosts to the rules in scope
+        this.compileRules(rules);
+    }
+
+    /**
+     * Compile stored rules into parameter, unwrap and keep rules. Rules with
+     * a higher priority run first, rules of the same priority in list order
+     */
+    compileRules(rules) {
+        const configRules = [];
+        const unwrapRules = [];
+        const keepRules = [];
+        const orderedRules = [...rules].sort(
+            (a, b) => (b.priority || 0) - (a.priority || 0)
+        );
+
+        for (const rule of orderedRules) {
+            // Where the rule comes from, for the statistics and the tester
+            const origin = {
+                type: rule.type || "param",
+                pattern: rule.pattern,
+                pack: rule.pack,
+                subscription: rule.subscription,
+            };
+            const scope = {
+                domains: (rule.domains || []).map(compileDomainPattern),
+                excludeDomains: (rule.excludeDomains || []).map(
+                    compileDomainPattern
+                ),
+            };
+
+            if (rule.type === "unwrap") {
+                unwrapRules.push({
+                    pattern: new RegExp(rule.pattern, "i"),
+                    param: new RegExp(rule.param, "i"),
+                    originalPattern: rule.pattern,
+                    origin,
+                    ...scope,
+                });
+            } else if (rule.type === "keep") {
+                keepRules.push({
+                    pattern: new RegExp(
+                        getRuleSource(rule),
+                        (rule.flags ?? "i").replace(/[gy]/g, "")
+                    ),
+                    originalPattern: rule.pattern,
+                    origin,
+                    ...scope,
+                });
+            } else {
+                const source = getRuleSource(rule);
+                const flags = rule.flags ?? "i";
+                const replacement = rule.replacement || "";
+
+                configRules.push({
+                    // Global and sticky flags would make test() stateful
+                    pattern: new RegExp(source, flags.replace(/[gy]/g, "")),
+                    replacePattern: new RegExp(source, flags),
+                    replacement,
+                    hasGroupReplacement: /\$(\d|<[^>]+>|&|`|')/.test(
+                        replacement
+                    ),
+                    target: rule.target || "name",
+                    // Later rules still apply to what this rule replaced
+                    continue: Boolean(rule.continue),
+                    // Names an exact, case-insensitive rule spells out
+                    literalNames:
+                        rule.exact && flags.includes("i")
+                            ? getLiteralNames(rule).map((name) =>
+                                  name.toLowerCase()
+                              )
+                            : [],
+                    // How the name index finds the rule, if at all
+                    nameMatch: null,
+                    originalPattern: rule.pattern,
+                    origin,
+                    ...scope,
+                });
+            }
+        }
+
+        this.configRules = configRules;
+        this.unwrapRules = unwrapRules;
+        this.keepRules = keepRules;
+        this.scopedRulesCache.clear();
+        if (this.indexNames) {
+            this.compileNameIndex(configRules);
+        }
+    }
+
+    /**
+     * Index the rules matching parameter names, so a name is only tested
+     * against the rules that can match it. Rules spelling out their names
+     * are looked up by name, and the other case-insensitive rules share one
+     * combined regex that rules them all out with a single test. Any other
+     * rule is tested one by one
+     */
+    compileNameIndex(configRules) {
+        const literalNameRules = new Map();
+        const patternRules = [];
+
+        for (const rule of configRules) {
+            if (rule.target !== "name" && rule.target !== "hash") continue;
+
+            if (rule.literalNames.length > 0) {
+                rule.nameMatch = "literal";
+                for (const name of rule.literalNames) {
+                    if (!literalNameRules.has(name)) {
+                        literalNameRules.set(name, new Set());
+                    }
+                    literalNameRules.get(name).add(rule);
+                }
+            } else if (
+                rule.pattern.flags === "i" &&
+                // Backreferences would point at another rule's groups
+                !/\\([1-9]|k<)/.test(rule.pattern.source)
+            ) {
+                patternRules.push(rule);
+            }
+        }
+
+        this.literalNameRules = literalNameRules;
+        this.combinedNamePattern = null;
+        if (patternRules.length === 0) return;
+
+        try {
+            this.combinedNamePattern = new RegExp(
+                patternRules
+                    .map((rule) => `(?:${rule.pattern.source})`)
+                    .join("|"),
+                "i"
+            );
+            for (const rule of patternRules) {
+                rule.nameMatch = "combined";
+            }
+        } catch (error) {
+            // Rules with clashing group names stay tested one by one
+        }
+    }
+
+    /**
+     * Check a rule's domain scope against the URL's host and the page's
+     * host. Excluded domains win over included ones
+     */
+    isRuleInScope(rule, hosts) {
+        const matchesAny = (patterns) =>
+            patterns.some((pattern) =>
+                hosts.some((host) => pattern.test(host))
+            );
+
+        if (matchesAny(rule.excludeDomains)) return false;
+        return rule.domains.length === 0 || matchesAny(rule.domains);
+    }
+
+    /**
+     * Find the destination embedded in a redirect wrapper URL, along with
+     * the rule that matched the wrapper. Rules are scoped to the wrapper's
+     * host and to the host of the page it was found on
+     */
+    unwrapUrl(url, pageHost) {
+        const hosts = [url.hostname, pageHost].filter(Boolean);
+
+        for (const rule of this.unwrapRules) {
+            if (!this.isRuleInScope(rule, hosts)) continue;
+            if (!rule.pattern.test(url.href)) continue;
+
+            for (const [key, value] of url.searchParams) {
+                if (!rule.param.test(key)) continue;
+
+                const target = this.decodeEmbeddedUrl(value);
+                if (target) return { url: target, rule };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode a parameter value holding a plain, percent-encoded or base64
+     * encoded absolute URL
+     */
+    decodeEmbeddedUrl(value) {
+        const candidates = [value];
+
+        try {
+            candidates.push(decodeURIComponent(value));
+        } catch (error) {
+            // Not percent-encoded
+        }
+
+        try {
+            candidates.push(atob(value.replace(/-/g, "+").replace(/_/g, "/")));
+        } catch (error) {
+            // Not base64
+        }
+
+        for (const candidate of candidates) {
+            if (!/^https?:\/\//i.test(candidate)) continue;
+
+            try {
+                return new URL(candidate).href;
+            } catch (error) {
+                // Not a valid URL
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the rules in scope on the given hosts, split by what they match.
+     * A page links to few hosts, so they are cached per combination rather
+     * than checking the scope of every rule for every URL
+     */
+    getScopedRules(hosts) {
+        const key = hosts.join(" ");
+        let scopedRules = this.scopedRulesCache.get(key);
+        if (scopedRules) return scopedRules;
+
+        const rules = this.configRules.filter((rule) =>
+            this.isRuleInScope(rule, hosts)
+        );
+        scopedRules = {
+            queryRules: rules.filter(
+                (rule) => rule.target !== "path" && rule.target !== "hash"
+            ),
+            pathRules: rules.filter((rule) => rule.target === "path"),
+            hashRules: rules.filter((rule) => rule.target === "hash"),
+            keepRules: this.keepRules.filter((rule) =>
+                this.isRuleInScope(rule, hosts)
+            ),
+        };
+
+        if (this.scopedRulesCache.size >= SCOPED_RULES_CACHE_SIZE) {
+            this.scopedRulesCache.clear();
+        }
+        this.scopedRulesCache.set(key, scopedRules);
+        return scopedRules;
+    }
+
+    /**
+     * Clean a URL string by applying all compiled rules. Relative URLs are
+     * resolved against baseUrl, and rules scoped to pageHost apply as well.
+     * Returns the cleaned URL along with the changes made to it, each
+     * naming the rule responsible and the parameter it removed or replaced
+     */
+    cleanUrl(urlStr, { baseUrl, pageHost } = {}, depth = 0) {
+        if (!urlStr) {
+            return { url: urlStr, changes: [] };
+        }
+
+        try {
+            const url = new URL(urlStr, baseUrl);
+            const changes = [];
+
+            // Point redirect wrappers straight at their real destination
+            const unwrapped =
+                depth < MAX_UNWRAP_DEPTH ? this.unwrapUrl(url, pageHost) : null;
+            if (unwrapped) {
+                const target = this.cleanUrl(
+                    unwrapped.url,
+                    { baseUrl, pageHost },
+                    depth + 1
+                );
+                return {
+                    url: target.url,
+                    changes: [
+                        { rule: unwrapped.rule.origin },
+                        ...target.changes,
+                    ],
+                };
+            }
+
+            // Only rules scoped to the target or the page apply
+            const { queryRules, pathRules, hashRules, keepRules } =
+                this.getScopedRules([url.hostname, pageHost].filter(Boolean));
+
+            this.cleanParams(url.searchParams, queryRules, changes, keepRules);
+            if (pathRules.length > 0) {
+                this.cleanPath(url, pathRules, changes);
+            }
+            if (hashRules.length > 0) {
+                this.cleanHash(url, hashRules, changes, keepRules);
+            }
+
+            return { url: url.toString(), changes };
+        } catch (error) {
+            return { url: urlStr, changes: [] };
+        }
+    }
+
+    /**
+     * Check whether a rule matches a parameter on its target
+     */
+    matchesParam(rule, key, value) {
+        switch (rule.target) {
+            case "value":
+                return rule.pattern.test(value);
+            case "pair":
+                return rule.pattern.test(`${key}=${value}`);
+            default:
+                // "name" and "hash" rules match parameter names
+                return rule.pattern.test(key);
+        }
+    }
+
+    /**
+     * Get the new value of a parameter matched by a replace rule. Capture
+     * group references like "$1" are filled in from the text the rule
+     * matched: value rules rewrite the value, pair rules the pair, and name
+     * rules replace the whole value with what they captured in the name
+     */
+    getReplacementValue(rule, key, value) {
+        if (!rule.hasGroupReplacement) return rule.replacement;
+
+        switch (rule.target) {
+            case "value":
+                return value.replace(rule.replacePattern, rule.replacement);
+            case "pair": {
+                const pair = `${key}=${value}`.replace(
+                    rule.replacePattern,
+                    rule.replacement
+                );
+                return pair.slice(pair.indexOf("=") + 1);
+            }
+            default: {
+                // Keep only the replaced part of the name
+                const match = rule.pattern.exec(key);
+                const replaced = key.replace(rule.pattern, rule.replacement);
+                const suffixLength = key.length - match.index - match[0].length;
+                return replaced.slice(
+                    match.index,
+                    replaced.length - suffixLength
+                );
+            }
+        }
+    }
+
+    /**
+     * Apply rules to a set of parameters, adding what they changed to
+     * changes. Parameters matching a keep rule are never removed. Returns
+     * whether anything changed
+     */
+    cleanParams(params, rules, changes, keepRules = []) {
+        let hasChanges = false;
+
+        // Create a copy of params to iterate over
+        const paramsToProcess = Array.from(params.entries());
+
+        for (const [key, originalValue] of paramsToProcess) {
+            const isKept = keepRules.some((rule) => rule.pattern.test(key));
+            const literalRules = this.literalNameRules.get(key.toLowerCase());
+            const mayMatchPattern =
+                this.combinedNamePattern?.test(key) ?? false;
+            let value = originalValue;
+
+            for (const rule of rules) {
+                if (isKept && rule.replacement === "") continue;
+
+                // Skip the name rules the index rules out
+                if (
+                    (rule.nameMatch === "literal" &&
+                        !literalRules?.has(rule)) ||
+                    (rule.nameMatch === "combined" && !mayMatchPattern)
+                ) {
+                    continue;
+                }
+
+                try {
+                    if (!this.matchesParam(rule, key, value)) continue;
+
+                    if (rule.replacement === "") {
+                        changes.push({ rule: rule.origin, param: key });
+                        hasChanges = true;
+                        params.delete(key);
+                        break;
+                    }
+
+                    // A replacement giving the same value changes nothing
+                    const replacedValue = this.getReplacementValue(
+                        rule,
+                        key,
+                        value
+                    );
+                    if (replacedValue !== value) {
+                        changes.push({ rule: rule.origin, param: key });
+                        hasChanges = true;
+                        value = replacedValue;
+                        params.set(key, value);
+                    }
+
+                    // Stop after the first matching rule, unless it lets
+                    // later rules see the replaced value
+                    if (!rule.continue) break;
+                } catch (regexError) {
+                    // Silent error handling
+                }
+            }
+        }
+
+        return hasChanges;
+    }
+
+    /**
+     * Remove or replace path segments matching "path" rules, adding what
+     * they changed to changes
+     */
+    cleanPath(url, rules, changes) {
+        let hasChanges = false;
+
+        const segments = url.pathname.split("/").flatMap((segment) => {
+            if (!segment) return [segment];
+
+            let decoded = segment;
+            try {
+                decoded = decodeURIComponent(segment);
+            } catch (error) {
+                // Keep the raw segment
+            }
+
+            let isReplaced = false;
+            for (const rule of rules) {
+                if (!rule.pattern.test(decoded)) continue;
+
+                if (rule.replacement === "") {
+                    changes.push({ rule: rule.origin });
+                    hasChanges = true;
+                    return [];
+                }
+
+                const replaced = rule.hasGroupReplacement
+                    ? decoded.replace(rule.replacePattern, rule.replacement)
+                    : rule.replacement;
+                if (replaced !== decoded) {
+                    changes.push({ rule: rule.origin });
+                    hasChanges = true;
+                    decoded = replaced;
+                    isReplaced = true;
+                }
+                if (!rule.continue) break;
+            }
+
+            return isReplaced ? [encodeURIComponent(decoded)] : [segment];
+        });
+
+        if (hasChanges) {
+            url.pathname = segments.join("/") || "/";
+        }
+
+        return hasChanges;
+    }
+
+    /**
+     * Clean parameters in the fragment, both "#a=b" and "#/route?a=b",
+     * adding what changed to changes
+     */
+    cleanHash(url, rules, changes, keepRules = []) {
+        const hash = url.hash.slice(1);
+        const queryStart = hash.indexOf("?") + 1;
+        const route = hash.slice(0, queryStart);
+        const query = hash.slice(queryStart);
+
+        if (!query.includes("=")) return false;
+
+        const params = new URLSearchParams(query);
+        if (!this.cleanParams(params, rules, changes, keepRules)) {
+            return false;
+        }
+
+        const cleanedQuery = params.toString();
+        url.hash = cleanedQuery
+            ? route + cleanedQuery
+            : route.replace(/\?$/, "");
+        return true;
+    }
+}
+
+// Node, for the unit tests
+if (typeof module !== "undefined") {
+    module.exports = {
+        MAX_UNWRAP_DEPTH,
+        compileDomainPattern,
+        getRuleSource,
+        getLiteralNames,
+        RuleEngine,
+    };
+}
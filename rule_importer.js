@@ -0,0 +1,387 @@
+/**
+ * CleanURLs Rule Importer
+ * Turns ClearURLs provider lists and AdGuard/uBlock $removeparam filters
+ * into CleanURLs rules, reporting every entry that could not be converted
+ */
+
+// Modifiers that only narrow down request types; links are cleaned anyway
+const IGNORED_FILTER_MODIFIERS = new Set([
+    "important",
+    "document",
+    "doc",
+    "subdocument",
+    "popup",
+    "xmlhttprequest",
+    "script",
+    "image",
+    "stylesheet",
+    "font",
+    "media",
+    "object",
+    "ping",
+    "websocket",
+    "other",
+    "all",
+]);
+
+// Types and match targets the rule engine knows
+const VALID_RULE_TYPES = ["param", "unwrap", "keep"];
+const VALID_RULE_TARGETS = ["name", "value", "pair", "path", "hash"];
+
+/**
+ * Escape a literal string for use in a regex
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check that a rule has the shape the rule engine expects: a known type and
+ * match target, string patterns and lists of domain strings
+ */
+function hasValidRuleShape(rule) {
+    const isOptional = (value, isValid) =>
+        value === undefined || isValid(value);
+    const isString = (value) => typeof value === "string";
+    const isStringList = (value) =>
+        Array.isArray(value) && value.every(isString);
+
+    return (
+        Boolean(rule) &&
+        typeof rule === "object" &&
+        VALID_RULE_TYPES.includes(rule.type ?? "param") &&
+        isOptional(rule.target, (target) =>
+            VALID_RULE_TARGETS.includes(target)
+        ) &&
+        isString(rule.pattern) &&
+        (rule.type !== "unwrap" || isString(rule.param)) &&
+        isOptional(rule.replacement, isString) &&
+        isOptional(rule.flags, isString) &&
+        isOptional(rule.domains, isStringList) &&
+        isOptional(rule.excludeDomains, isStringList)
+    );
+}
+
+/**
+ * Check that a rule is well formed and every regex of it compiles, so a
+ * single broken entry cannot break the rules it is merged with
+ */
+function isCompilableRule(rule) {
+    if (!hasValidRuleShape(rule)) return false;
+
+    try {
+        if (rule.type === "unwrap") {
+            new RegExp(rule.pattern, "i");
+            new RegExp(rule.param, "i");
+        } else {
+            new RegExp(getRuleSource(rule), rule.flags ?? "i");
+        }
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse a rule list, detecting whether it is a ClearURLs provider file or
+ * an AdGuard/uBlock filter list. Rules whose regex does not compile are
+ * reported as skipped
+ */
+function parseRuleList(text) {
+    const result = detectRuleList(text);
+    const rules = [];
+
+    for (const rule of result.rules) {
+        if (isCompilableRule(rule)) {
+            rules.push(rule);
+        } else {
+            result.skipped.push({
+                entry: rule.pattern,
+                reason: "invalid regular expression",
+            });
+        }
+    }
+
+    return { ...result, rules };
+}
+
+/**
+ * Convert a rule list with the parser matching its format
+ */
+function detectRuleList(text) {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Not JSON, so a filter list
+    }
+
+    if (data && typeof data === "object" && data.providers) {
+        return { format: "clearurls", ...parseClearUrlsProviders(data) };
+    }
+
+    if (data !== null) {
+        return {
+            format: "unknown",
+            rules: [],
+            skipped: [
+                {
+                    entry: "(file)",
+                    reason: 'JSON file without a ClearURLs "providers" object',
+                },
+            ],
+        };
+    }
+
+    return { format: "adguard", ...parseRemoveParamFilters(text) };
+}
+
+/**
+ * Turn a ClearURLs urlPattern into domain patterns. Returns an empty list
+ * for global providers and null when the pattern is too complex
+ */
+function urlPatternToDomains(urlPattern) {
+    if (urlPattern === ".*" || urlPattern === ".") return [];
+
+    const host = urlPattern
+        .replace(/\\\//g, "/")
+        // Scheme and optional subdomains
+        .replace(/^\^?https\?:?\/\//, "")
+        .replace(/^\(\?:\[a-z0-9-\]\+\\\.\)\*\??/, "")
+        // Any top-level domain
+        .replace(/\(\?:\\\.\[a-z\]\{2,\}\)\{1,\}/g, ".*")
+        .replace(/\\\./g, ".")
+        // Everything after the host
+        .replace(/[/?].*$/, "");
+
+    return /^[a-z0-9-]+(\.[a-z0-9-]+|\.\*)+$/i.test(host) ? [host] : null;
+}
+
+/**
+ * Turn a ClearURLs redirection into an unwrap rule, or null when the
+ * parameter holding the destination cannot be found
+ */
+function redirectionToUnwrapRule(redirection) {
+    const match = redirection.match(
+        /^(.*?)(?:\\\?|\\&|[?&]|\.\*\??)*(?:\(\?:([\w|]+)\)|([\w]+))=\(/
+    );
+    if (!match || !match[1]) return null;
+
+    return {
+        type: "unwrap",
+        pattern: match[1],
+        param: `^(?:${match[2] || match[3]})$`,
+    };
+}
+
+/**
+ * Convert ClearURLs providers ("data.min.json")
+ */
+function parseClearUrlsProviders(data) {
+    const rules = [];
+    const skipped = [];
+
+    for (const [name, provider] of Object.entries(data.providers)) {
+        if (provider.completeProvider) {
+            skipped.push({
+                entry: name,
+                reason: "complete providers block the whole site, which CleanURLs does not do",
+            });
+            continue;
+        }
+
+        const domains = urlPatternToDomains(provider.urlPattern || "");
+        if (!domains) {
+            skipped.push({
+                entry: name,
+                reason: `urlPattern is too complex to turn into domains: ${provider.urlPattern}`,
+            });
+            continue;
+        }
+        const scope = domains.length > 0 ? { domains } : {};
+
+        const paramRules = [
+            ...(provider.rules || []),
+            ...(provider.referralMarketing || []),
+        ];
+        for (const pattern of paramRules) {
+            rules.push({ pattern, replacement: "", exact: true, ...scope });
+        }
+
+        for (const rawRule of provider.rawRules || []) {
+            // "\/ref=[^/?]*" style rules remove a single path segment
+            const segment = rawRule.match(
+                /^\\\/((?:\[[^\]]*\]|\\[^/]|[^/\\[])*)$/
+            );
+            if (segment) {
+                rules.push({
+                    pattern: segment[1],
+                    replacement: "",
+                    exact: true,
+                    target: "path",
+                    ...scope,
+                });
+            } else {
+                skipped.push({
+                    entry: `${name}: ${rawRule}`,
+                    reason: "raw rules other than a single path segment are not supported",
+                });
+            }
+        }
+
+        for (const redirection of provider.redirections || []) {
+            const rule = redirectionToUnwrapRule(redirection);
+            if (rule) {
+                rules.push({ ...rule, ...scope });
+            } else {
+                skipped.push({
+                    entry: `${name}: ${redirection}`,
+                    reason: "could not find the parameter holding the destination",
+                });
+            }
+        }
+
+        if ((provider.exceptions || []).length > 0) {
+            skipped.push({
+                entry: `${name}: ${provider.exceptions.length} exception(s)`,
+                reason: "URL exceptions are not supported, add excluded domains to the rules instead",
+            });
+        }
+    }
+
+    return { rules, skipped };
+}
+
+/**
+ * Split filter options on commas, keeping regex values in one piece
+ */
+function splitFilterOptions(options) {
+    const parts = [];
+    let current = "";
+    let inRegex = false;
+
+    for (let i = 0; i < options.length; i++) {
+        const char = options[i];
+
+        if (char === "\\" && inRegex) {
+            current += char + (options[i + 1] || "");
+            i++;
+        } else if (char === "/" && (inRegex || current.endsWith("="))) {
+            inRegex = !inRegex;
+            current += char;
+        } else if (char === "," && !inRegex) {
+            parts.push(current);
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+
+    return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Convert one AdGuard/uBlock filter line. Returns a rule, or a string
+ * explaining why the line was skipped
+ */
+function parseRemoveParamFilter(line) {
+    if (line.startsWith("@@")) {
+        return "exception rules are not supported";
+    }
+    if (/#[@?$%]?#/.test(line)) {
+        return "cosmetic filters are not supported";
+    }
+
+    const optionsStart = line.indexOf("$");
+    if (optionsStart === -1) {
+        return "not a $removeparam rule";
+    }
+
+    const urlPattern = line.slice(0, optionsStart);
+    const rule = { pattern: "", replacement: "" };
+    const domains = [];
+    const excludeDomains = [];
+    let removeParam = null;
+
+    if (urlPattern && urlPattern !== "*") {
+        const domain = urlPattern.match(/^\|\|([a-z0-9.*-]+)\^?$/i);
+        if (!domain) {
+            return "URL patterns other than ||domain^ are not supported";
+        }
+        domains.push(domain[1].toLowerCase());
+    }
+
+    for (const option of splitFilterOptions(line.slice(optionsStart + 1))) {
+        const [name, ...valueParts] = option.split("=");
+        const value = valueParts.join("=");
+
+        if (name === "removeparam") {
+            removeParam = value;
+        } else if (name === "domain") {
+            for (const domain of value.split("|")) {
+                if (domain.startsWith("~")) {
+                    excludeDomains.push(domain.slice(1).toLowerCase());
+                } else if (domain) {
+                    domains.push(domain.toLowerCase());
+                }
+            }
+        } else if (name === "match-case") {
+            rule.flags = "";
+        } else if (!IGNORED_FILTER_MODIFIERS.has(name)) {
+            return `unsupported modifier $${name}`;
+        }
+    }
+
+    if (removeParam === null) {
+        return "not a $removeparam rule";
+    }
+    if (removeParam === "") {
+        return "removing every parameter is not supported";
+    }
+    if (removeParam.startsWith("~")) {
+        return "inverted $removeparam (keep only) is not supported";
+    }
+
+    const regex = removeParam.match(/^\/(.*)\/([a-z]*)$/);
+    if (regex) {
+        // Regex values are matched against "name=value"
+        rule.pattern = regex[1];
+        rule.target = "pair";
+        if (rule.flags === undefined && !regex[2].includes("i")) {
+            rule.flags = "";
+        }
+    } else {
+        rule.pattern = escapeRegex(removeParam);
+        rule.exact = true;
+    }
+
+    if (domains.length > 0) rule.domains = domains;
+    if (excludeDomains.length > 0) rule.excludeDomains = excludeDomains;
+
+    return rule;
+}
+
+/**
+ * Convert an AdGuard/uBlock filter list with $removeparam rules
+ */
+function parseRemoveParamFilters(text) {
+    const rules = [];
+    const skipped = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+
+        // Blank lines, comments and the list header
+        if (!line || line.startsWith("!") || line.startsWith("[")) continue;
+
+        const result = parseRemoveParamFilter(line);
+        if (typeof result === "string") {
+            skipped.push({ entry: line, reason: result });
+        } else {
+            rules.push(result);
+        }
+    }
+
+    return { rules, skipped };
+}
@@ -0,0 +1,269 @@
+/**
+ * CleanURLs Rule Storage
+ * Keeps the custom rules in chrome.storage.sync split across several keys,
+ * as sync limits each item to 8 KB, and on this device only once they
+ * outgrow the share of the sync quota set aside for them. A pointer in sync
+ * tells every component where the rules are, and which device holds them
+ * when they are kept locally
+ */
+
+// Sync key of the pointer telling where the rules are stored
+const RULE_STORAGE_KEY = "ruleStorage";
+
+// Prefix of the sync keys holding the rules: "rules_0", "rules_1" and on
+const RULE_SHARD_PREFIX = "rules_";
+
+// Local key of the random ID the pointer names this device by
+const DEVICE_ID_KEY = "deviceId";
+
+// chrome.storage.sync limits, in bytes of key plus JSON value
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+// Sync bytes the rules may take, leaving the rest to the settings
+const RULE_SYNC_BUDGET = 65536;
+
+/**
+ * Count the bytes of a string as chrome.storage does, in UTF-8
+ */
+function getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Get the sync keys of the first shardCount rule shards
+ */
+function getRuleShardKeys(shardCount) {
+    return Array.from(
+        { length: shardCount },
+        (_, index) => `${RULE_SHARD_PREFIX}${index}`
+    );
+}
+
+/**
+ * Get the ID of this device, creating it the first time
+ */
+async function getDeviceId() {
+    const { [DEVICE_ID_KEY]: deviceId } = await chrome.storage.local.get({
+        [DEVICE_ID_KEY]: null,
+    });
+    if (deviceId) return deviceId;
+
+    const newDeviceId = crypto.randomUUID();
+    await chrome.storage.local.set({ [DEVICE_ID_KEY]: newDeviceId });
+    return newDeviceId;
+}
+
+/**
+ * Check whether a pointer says the rules are kept on another device, where
+ * this one cannot read them. Pointers from before devices were named belong
+ * to the device that has local rules
+ */
+async function isPointerOnOtherDevice(pointer) {
+    if (pointer?.area !== "local") return false;
+    if (pointer.device) return pointer.device !== (await getDeviceId());
+
+    const { rules } = await chrome.storage.local.get({ rules: null });
+    return !rules;
+}
+
+/**
+ * Check whether the stored rules are kept on another device
+ */
+async function areRulesOnOtherDevice() {
+    const { [RULE_STORAGE_KEY]: pointer } = await chrome.storage.sync.get({
+        [RULE_STORAGE_KEY]: null,
+    });
+    return isPointerOnOtherDevice(pointer);
+}
+
+/**
+ * Split rules into shards that each fit in a sync item, keeping their
+ * order. Returns null when a single rule is too big for an item
+ */
+function shardRules(rules) {
+    const shards = [];
+    let shard = [];
+    let shardBytes = 2; // The brackets of the JSON array
+
+    const fits = (bytes) =>
+        getByteLength(`${RULE_SHARD_PREFIX}${shards.length}`) + bytes <=
+        SYNC_QUOTA_BYTES_PER_ITEM;
+
+    for (const rule of rules) {
+        const ruleBytes = getByteLength(JSON.stringify(rule));
+
+        // Rules after the first one of a shard need a comma
+        if (shard.length > 0 && !fits(shardBytes + 1 + ruleBytes)) {
+            shards.push(shard);
+            shard = [];
+            shardBytes = 2;
+        }
+
+        shardBytes += (shard.length > 0 ? 1 : 0) + ruleBytes;
+        shard.push(rule);
+        if (!fits(shardBytes)) return null;
+    }
+
+    if (shard.length > 0) shards.push(shard);
+    return shards;
+}
+
+/**
+ * Read the stored custom rules from wherever the pointer says they are.
+ * Without a pointer, the rules are still in the single "rules" sync key
+ * they were stored in before sharding
+ */
+async function loadStoredRules() {
+    const data = await chrome.storage.sync.get({
+        [RULE_STORAGE_KEY]: null,
+        rules: [],
+    });
+    const pointer = data[RULE_STORAGE_KEY];
+
+    if (!pointer) return data.rules;
+
+    if (pointer.area === "local") {
+        const { rules } = await chrome.storage.local.get({ rules: [] });
+        return rules;
+    }
+
+    const shardKeys = getRuleShardKeys(pointer.shards);
+    const shards = await chrome.storage.sync.get(shardKeys);
+    return shardKeys.flatMap((key) => shards[key] || []);
+}
+
+/**
+ * Store custom rules in sync shards when they fit the sync budget, on this
+ * device otherwise, and point sync at them. Shards left over from a larger
+ * rule set are removed once the new ones are written. Rules kept on another
+ * device are only replaced when replaceOtherDevice is set, as that device
+ * would lose track of them. Returns the storage area the rules ended up in,
+ * "sync" or "local"
+ */
+async function saveStoredRules(rules, { replaceOtherDevice = false } = {}) {
+    const { [RULE_STORAGE_KEY]: previousPointer } =
+        await chrome.storage.sync.get({ [RULE_STORAGE_KEY]: null });
+
+    if (
+        !replaceOtherDevice &&
+        (await isPointerOnOtherDevice(previousPointer))
+    ) {
+        throw new Error(
+            "The rules are stored on another device only, and saving here would replace them"
+        );
+    }
+
+    const previousShardKeys = getRuleShardKeys(previousPointer?.shards || 0);
+
+    const shards = shardRules(rules);
+    const shardKeys = getRuleShardKeys(shards?.length || 0);
+    const items = Object.fromEntries(
+        shardKeys.map((key, index) => [key, shards[index]])
+    );
+    const syncBytes = Object.entries(items).reduce(
+        (sum, [key, shard]) => sum + getByteLength(key + JSON.stringify(shard)),
+        0
+    );
+
+    if (shards && syncBytes <= RULE_SYNC_BUDGET) {
+        try {
+            await chrome.storage.sync.set({
+                ...items,
+                [RULE_STORAGE_KEY]: {
+                    area: "sync",
+                    shards: shards.length,
+                    bytes: syncBytes,
+                    updatedAt: Date.now(),
+                },
+            });
+            await chrome.storage.sync.remove([
+                ...previousShardKeys.slice(shards.length),
+                "rules",
+            ]);
+            await chrome.storage.local.remove("rules");
+            return "sync";
+        } catch (error) {
+            // Over the sync quota after all, such as with large settings
+        }
+    }
+
+    await chrome.storage.local.set({ rules });
+    await chrome.storage.sync.set({
+        [RULE_STORAGE_KEY]: {
+            area: "local",
+            device: await getDeviceId(),
+            shards: 0,
+            bytes: getByteLength(JSON.stringify(rules)),
+            updatedAt: Date.now(),
+        },
+    });
+    await chrome.storage.sync.remove([...previousShardKeys, "rules"]);
+    return "local";
+}
+
+/**
+ * Check whether a storage change touched the stored custom rules
+ */
+function haveStoredRulesChanged(changes, namespace) {
+    if (namespace === "local") return Boolean(changes.rules);
+
+    return (
+        namespace === "sync" &&
+        Object.keys(changes).some(
+            (key) =>
+                key === RULE_STORAGE_KEY ||
+                key === "rules" ||
+                key.startsWith(RULE_SHARD_PREFIX)
+        )
+    );
+}
+
+/**
+ * Measure the storage the custom rules take, along with the whole sync
+ * storage in use
+ */
+async function getRuleStorageUsage() {
+    const { [RULE_STORAGE_KEY]: pointer } = await chrome.storage.sync.get({
+        [RULE_STORAGE_KEY]: null,
+    });
+    const area = pointer?.area || "sync";
+    const onOtherDevice = await isPointerOnOtherDevice(pointer);
+
+    let ruleBytes;
+    if (onOtherDevice) {
+        ruleBytes = pointer.bytes;
+    } else if (area === "local") {
+        ruleBytes = await chrome.storage.local.getBytesInUse("rules");
+    } else {
+        ruleBytes = await chrome.storage.sync.getBytesInUse(
+            pointer ? getRuleShardKeys(pointer.shards) : ["rules"]
+        );
+    }
+
+    return {
+        area,
+        onOtherDevice,
+        shards: pointer?.shards || 0,
+        ruleBytes,
+        ruleBudget: RULE_SYNC_BUDGET,
+        syncBytes: await chrome.storage.sync.getBytesInUse(null),
+        syncQuota: SYNC_QUOTA_BYTES,
+    };
+}
+
+// Node, for the unit tests
+if (typeof module !== "undefined") {
+    module.exports = {
+        RULE_STORAGE_KEY,
+        RULE_SHARD_PREFIX,
+        SYNC_QUOTA_BYTES_PER_ITEM,
+        RULE_SYNC_BUDGET,
+        getRuleShardKeys,
+        shardRules,
+        loadStoredRules,
+        saveStoredRules,
+        areRulesOnOtherDevice,
+        haveStoredRulesChanged,
+    };
+}
@@ -0,0 +1,161 @@
+/**
+ * CleanURLs Settings Migrations
+ * Brings the stored rules and settings up to date after an update, one
+ * versioned step at a time. The schema version of the stored data is kept
+ * in sync, so every browser migrates the data it shares only once
+ */
+
+// Sync key holding the schema version of the stored rules and settings
+const SETTINGS_SCHEMA_KEY = "settingsSchemaVersion";
+
+// The "download" rule shipped with the default rules until version 2.
+// Releases stored it without "exact", later builds with it
+const LEGACY_DOWNLOAD_RULE = { pattern: "download", replacement: "" };
+
+/**
+ * Migration steps in the order they run. Each one gets the stored rules and
+ * settings of the previous version and returns them for its own version.
+ * Steps run again when saving their result fails, so they must leave data
+ * they already migrated unchanged. Append new steps, never edit old ones
+ */
+const SETTINGS_MIGRATIONS = [
+    {
+        version: 1,
+        description: "Rules without a match target match parameter names",
+        migrate: ({ rules, settings }) => ({
+            // Rules used to match both parameter names and values, but
+            // almost all of them were meant for names only
+            rules: rules.map((rule) =>
+                (rule.type || "param") === "param" && !rule.target
+                    ? { ...rule, target: "name" }
+                    : rule
+            ),
+            settings,
+        }),
+    },
+    {
+        version: 2,
+        description: 'Drop the "download" default rule',
+        migrate: ({ rules, settings }) => ({
+            // It broke download links on many sites. A rule the user
+            // edited in any way is theirs to keep
+            rules: rules.filter((rule) => !isLegacyDownloadRule(rule)),
+            settings,
+        }),
+    },
+];
+
+// Schema version of the rules and settings this version stores
+const SETTINGS_SCHEMA_VERSION =
+    SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+/**
+ * Check whether a rule is the "download" default rule, unchanged
+ */
+function isLegacyDownloadRule({ target = "name", exact, ...options }) {
+    const keys = Object.keys(options);
+    return (
+        target === "name" &&
+        (exact === undefined || exact === true) &&
+        keys.length === Object.keys(LEGACY_DOWNLOAD_RULE).length &&
+        keys.every((key) => options[key] === LEGACY_DOWNLOAD_RULE[key])
+    );
+}
+
+/**
+ * Run every migration step newer than fromVersion on a copy of the stored
+ * rules and settings. Throws when a step fails, naming it, and leaves the
+ * data it was given untouched
+ */
+function applySettingsMigrations(
+    data,
+    fromVersion,
+    migrations = SETTINGS_MIGRATIONS
+) {
+    let migrated = structuredClone(data);
+    let version = fromVersion;
+
+    for (const step of migrations) {
+        if (step.version <= fromVersion) continue;
+
+        try {
+            migrated = step.migrate(migrated);
+        } catch (error) {
+            throw new Error(
+                `Migration to version ${step.version} (${step.description}) failed: ${error.message}`
+            );
+        }
+        version = step.version;
+    }
+
+    return { data: migrated, version };
+}
+
+/**
+ * Migrate the stored rules and settings to the current schema version.
+ * Nothing is saved unless every step succeeds, and the version is stored
+ * last, so a failed migration keeps the old data and runs again on the
+ * next start. Data stored by a newer version is left alone. Returns the
+ * versions migrated from and to
+ */
+async function runSettingsMigrations(migrations = SETTINGS_MIGRATIONS) {
+    const targetVersion = migrations[migrations.length - 1].version;
+    const stored = await chrome.storage.sync.get(null);
+    // Data stored before versioning is version 0
+    const fromVersion = stored[SETTINGS_SCHEMA_KEY] ?? 0;
+
+    if (fromVersion >= targetVersion) {
+        return { from: fromVersion, to: fromVersion };
+    }
+
+    // The rules have a storage of their own, the rest of sync is settings
+    const settings = Object.fromEntries(
+        Object.entries(stored).filter(
+            ([key]) =>
+                key !== SETTINGS_SCHEMA_KEY &&
+                !haveStoredRulesChanged({ [key]: {} }, "sync")
+        )
+    );
+    const rules = await loadStoredRules();
+
+    const { data, version } = applySettingsMigrations(
+        { rules, settings },
+        fromVersion,
+        migrations
+    );
+
+    if (JSON.stringify(data.rules) !== JSON.stringify(rules)) {
+        await saveStoredRules(data.rules);
+    }
+
+    const changedSettings = Object.fromEntries(
+        Object.entries(data.settings).filter(
+            ([key, value]) =>
+                JSON.stringify(value) !== JSON.stringify(settings[key])
+        )
+    );
+    const removedSettings = Object.keys(settings).filter(
+        (key) => !(key in data.settings)
+    );
+    if (removedSettings.length > 0) {
+        await chrome.storage.sync.remove(removedSettings);
+    }
+    await chrome.storage.sync.set({
+        ...changedSettings,
+        [SETTINGS_SCHEMA_KEY]: version,
+    });
+
+    return { from: fromVersion, to: version };
+}
+
+// Node, for the unit tests
+if (typeof module !== "undefined") {
+    module.exports = {
+        SETTINGS_SCHEMA_KEY,
+        SETTINGS_SCHEMA_VERSION,
+        SETTINGS_MIGRATIONS,
+        isLegacyDownloadRule,
+        applySettingsMigrations,
+        runSettingsMigrations,
+    };
+}
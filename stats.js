@@ -0,0 +1,253 @@
+/**
+ * CleanURLs Statistics Page
+ * Charts the cleaning statistics kept by the background script, to show
+ * which rules are worth keeping
+ */
+
+// Days shown in the daily chart
+const CHART_DAYS = 30;
+
+// Entries shown in each ranking
+const TOP_LIST_SIZE = 15;
+
+// Statistics before anything was cleaned
+const EMPTY_STATS = {
+    since: null,
+    total: 0,
+    days: {},
+    rules: {},
+    domains: {},
+    params: {},
+};
+
+let stats = EMPTY_STATS;
+let effectiveRules = [];
+
+// Get the keys of the days shown in the chart, oldest first
+function getChartDays() {
+    const date = new Date();
+    date.setDate(date.getDate() - CHART_DAYS + 1);
+
+    const days = [];
+    for (let i = 0; i < CHART_DAYS; i++) {
+        days.push(getStatsDayKey(date));
+        date.setDate(date.getDate() + 1);
+    }
+    return days;
+}
+
+// Render the totals
+function renderSummary() {
+    const chartTotal = getChartDays().reduce(
+        (sum, day) => sum + (stats.days[day] || 0),
+        0
+    );
+
+    document.getElementById("total-count").textContent =
+        stats.total.toLocaleString();
+    document.getElementById("today-count").textContent = (
+        stats.days[getStatsDayKey(new Date())] || 0
+    ).toLocaleString();
+    document.getElementById("chart-count").textContent =
+        chartTotal.toLocaleString();
+    document.getElementById("since-date").textContent = stats.since
+        ? new Date(stats.since).toLocaleDateString()
+        : "-";
+}
+
+// Render the URLs cleaned per day
+function renderDailyChart() {
+    const days = getChartDays();
+    const counts = days.map((day) => stats.days[day] || 0);
+    const max = Math.max(...counts, 1);
+
+    document.getElementById("daily-chart").innerHTML = days
+        .map((day, index) => {
+            const count = counts[index];
+            const height = (count / max) * 100;
+            return `
+                <div class="chart-column" title="${day}: ${count} URL(s) cleaned">
+                    <div class="chart-bar" style="height: ${height}%"></div>
+                </div>
+            `;
+        })
+        .join("");
+    document.getElementById("chart-start").textContent = days[0];
+    document.getElementById("chart-end").textContent = days[days.length - 1];
+}
+
+// Render counts as horizontal bars, most counted first
+function renderRanking(containerId, entries, emptyMessage) {
+    const container = document.getElementById(containerId);
+    const topEntries = entries
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_LIST_SIZE);
+
+    if (topEntries.length === 0) {
+        container.innerHTML = `<p class="empty-state">${emptyMessage}</p>`;
+        return;
+    }
+
+    const max = topEntries[0].count;
+    container.innerHTML = topEntries
+        .map(
+            ({ label, detail, count }) => `
+                <div class="ranking-row">
+                    <div class="ranking-label">
+                        <code>${escapeHtml(label)}</code>
+                        ${
+                            detail
+                                ? `<span class="ranking-detail">${escapeHtml(
+                                      detail
+                                  )}</span>`
+                                : ""
+                        }
+                    </div>
+                    <div class="ranking-track">
+                        <div class="ranking-bar" style="width: ${
+                            (count / max) * 100
+                        }%"></div>
+                    </div>
+                    <div class="ranking-count">${count.toLocaleString()}</div>
+                </div>
+            `
+        )
+        .join("");
+}
+
+// Render the rule hit counts, and the active rules that never matched
+function renderRules() {
+    renderRanking(
+        "rules-ranking",
+        Object.values(stats.rules).map((rule) => ({
+            label: rule.pattern,
+            detail:
+                rule.type === "unwrap"
+                    ? `${describeRuleSource(rule)}, unwrap`
+                    : describeRuleSource(rule),
+            count: rule.count,
+        })),
+        "No rule has matched yet"
+    );
+
+    const unusedRules = new Map();
+    for (const rule of effectiveRules) {
+        // Keep rules never clean anything themselves
+        if (rule.type === "keep") continue;
+        const key = getRuleStatsKey(rule);
+        if (!stats.rules[key]) unusedRules.set(key, rule);
+    }
+
+    const container = document.getElementById("unused-rules");
+    if (unusedRules.size === 0) {
+        container.innerHTML = `<p class="empty-state">Every active rule has matched at least once</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <ul>
+            ${[...unusedRules.values()]
+                .map(
+                    (rule) =>
+                        `<li><code>${escapeHtml(
+                            rule.pattern
+                        )}</code> <span class="ranking-detail">${escapeHtml(
+                            describeRuleSource(rule)
+                        )}</span></li>`
+                )
+                .join("")}
+        </ul>
+    `;
+}
+
+// Render every chart
+function renderStats() {
+    renderSummary();
+    renderDailyChart();
+    renderRules();
+    renderRanking(
+        "domains-ranking",
+        Object.entries(stats.domains).map(([domain, count]) => ({
+            label: domain,
+            count,
+        })),
+        "No site has had URLs cleaned yet"
+    );
+    renderRanking(
+        "params-ranking",
+        Object.entries(stats.params).map(([param, count]) => ({
+            label: param,
+            count,
+        })),
+        "No parameter has been removed yet"
+    );
+}
+
+// Load the statistics kept by the background script
+async function loadStats() {
+    const data = await chrome.storage.local.get({ stats: null });
+    stats = data.stats || EMPTY_STATS;
+}
+
+// Load the active rules, to list those that never matched
+async function loadEffectiveRules() {
+    const rules = await loadStoredRules();
+    const { enabledPacks, subscriptions } = await chrome.storage.sync.get({
+        enabledPacks: {},
+        subscriptions: [],
+    });
+    const { subscriptionCache } = await chrome.storage.local.get({
+        subscriptionCache: {},
+    });
+
+    effectiveRules = getEffectiveRules(
+        rules.length > 0 ? rules : DEFAULT_RULES,
+        enabledPacks,
+        getSubscriptionRules(subscriptions, subscriptionCache)
+    );
+}
+
+// Delete all statistics after confirmation
+function resetStats() {
+    if (!confirm("This will delete all cleaning statistics. Continue?")) {
+        return;
+    }
+
+    const resetButton = document.getElementById("resetStats");
+    const originalText = resetButton.innerHTML;
+    resetButton.disabled = true;
+
+    chrome.runtime.sendMessage({ action: "resetStats" }, (response) => {
+        resetButton.innerHTML =
+            response && response.success ? "✅ Reset!" : "❌ Failed";
+
+        setTimeout(() => {
+            resetButton.innerHTML = originalText;
+            resetButton.disabled = false;
+        }, 1500);
+    });
+}
+
+// Initialize the page
+document.addEventListener("DOMContentLoaded", async () => {
+    await Promise.all([loadStats(), loadEffectiveRules()]);
+    renderStats();
+
+    document.getElementById("resetStats").addEventListener("click", resetStats);
+
+    // Follow new statistics and rule changes while the page is open
+    chrome.storage.onChanged.addListener(async (changes, namespace) => {
+        if (namespace === "local" && changes.stats) {
+            stats = changes.stats.newValue || EMPTY_STATS;
+        }
+        if (
+            haveStoredRulesChanged(changes, namespace) ||
+            (namespace === "sync" &&
+                (changes.enabledPacks || changes.subscriptions)) ||
+            (namespace === "local" && changes.subscriptionCache)
+        ) {
+            await loadEffectiveRules();
+        }
+        renderStats();
+    });
+});
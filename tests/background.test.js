@@ -0,0 +1,317 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { loadBackground } = require("./load_background.js");
+
+// Build redirect rules, copied out of the background script's realm so
+// they compare equal to plain objects
+async function buildRedirectRules(background, rules) {
+    return structuredClone(await background.buildRedirectRules(rules));
+}
+
+// Names removed by removeParams redirects, and patterns of regex ones
+function describeRedirects(redirectRules) {
+    return redirectRules.map((rule) =>
+        rule.condition.regexFilter
+            ? `regex ${rule.condition.regexFilter}`
+            : `name ${rule.action.redirect.transform.queryTransform.removeParams}`
+    );
+}
+
+// Removal rules of every given name
+function removalRules(...names) {
+    return names.map((name) => ({
+        pattern: name,
+        replacement: "",
+        exact: true,
+        target: "name",
+    }));
+}
+
+test("removes names exact rules spell out with removeParams", async () => {
+    const { background } = await loadBackground();
+    const { addRules } = await buildRedirectRules(background, [
+        { pattern: "si|feature", replacement: "", exact: true },
+        { pattern: "utm_.*", replacement: "" },
+    ]);
+
+    const paramRules = addRules.filter((rule) => !rule.condition.regexFilter);
+    assert.deepEqual(
+        paramRules.map((rule) => rule.condition.urlFilter),
+        ["^si=", "^feature="]
+    );
+    assert.equal(addRules.length, 5);
+    assert.deepEqual(
+        addRules.map((rule) => rule.id),
+        [1, 2, 3, 4, 5]
+    );
+});
+
+test("leaves removal rules beyond Chrome's regex limit to the content script", async () => {
+    const { background, chrome } = await loadBackground();
+    const rules = Array.from({ length: 400 }, (_, index) => ({
+        pattern: `tracker${index}_.*`,
+        replacement: "",
+    }));
+
+    await background.updateRedirectRules(rules);
+
+    const regexRules = chrome.declarativeNetRequest.dynamicRules.filter(
+        (rule) => rule.condition.regexFilter
+    );
+    assert.equal(regexRules.length, 999);
+    assert.deepEqual(chrome.storage.local.items.redirectRulesStatus, {
+        ...chrome.storage.local.items.redirectRulesStatus,
+        ruleCount: 999,
+        skippedRuleCount: 67,
+        error: null,
+    });
+});
+
+test("reports refused redirect rules and removes the stale ones", async () => {
+    const { background, chrome } = await loadBackground();
+    const dnr = chrome.declarativeNetRequest;
+    const updateDynamicRules = dnr.updateDynamicRules;
+    dnr.updateDynamicRules = async (options) => {
+        if (options.addRules) throw new Error("Internal error");
+        return updateDynamicRules(options);
+    };
+
+    await background.updateRedirectRules(removalRules("gclid"));
+
+    assert.deepEqual(dnr.dynamicRules, []);
+    assert.equal(
+        chrome.storage.local.items.redirectRulesStatus.error,
+        "Internal error"
+    );
+});
+
+test("runs redirect rule updates one at a time", async () => {
+    const { background, chrome } = await loadBackground();
+
+    await Promise.all([
+        background.updateRedirectRules(removalRules("gclid", "fbclid")),
+        background.updateRedirectRules(removalRules("msclkid")),
+    ]);
+
+    assert.deepEqual(
+        describeRedirects(chrome.declarativeNetRequest.dynamicRules),
+        ["name msclkid"]
+    );
+    assert.equal(chrome.storage.local.items.redirectRulesStatus.error, null);
+});
+
+test("leaves parameters replace rules claim first to the content script", async () => {
+    const { background } = await loadBackground();
+    const { addRules } = await buildRedirectRules(background, [
+        { pattern: "tag", replacement: "mine-20", exact: true },
+        {
+            pattern: "ref",
+            replacement: "x",
+            exact: true,
+            domains: ["example.com"],
+        },
+        ...removalRules("tag", "ref", "gclid"),
+    ]);
+
+    assert.deepEqual(describeRedirects(addRules), ["name ref", "name gclid"]);
+    assert.deepEqual(addRules[0].condition.excludedRequestDomains, [
+        "example.com",
+    ]);
+});
+
+test("follows rule priorities and continue rules", async () => {
+    const { background } = await loadBackground();
+    const { addRules } = await buildRedirectRules(background, [
+        // Runs after the rule replacing "tag", which claims it
+        ...removalRules("tag"),
+        { pattern: "tag", replacement: "mine-20", exact: true, priority: 1 },
+        // Runs before the rule replacing "ref"
+        { ...removalRules("ref")[0], priority: 2 },
+        { pattern: "ref", replacement: "x", exact: true, priority: 1 },
+        // Replaced, then removed by the next rule
+        { pattern: "id", replacement: "x", exact: true, continue: true },
+        ...removalRules("id"),
+    ]);
+
+    assert.deepEqual(describeRedirects(addRules), ["name ref", "name id"]);
+});
+
+test("keep rules only hold back the removal rules they overlap", async () => {
+    const { background } = await loadBackground();
+    const { addRules } = await buildRedirectRules(background, [
+        { type: "keep", pattern: "ref_.*", exact: true },
+        { type: "keep", pattern: "id", domains: ["example.com"] },
+        ...removalRules("gclid", "ref_src", "id"),
+    ]);
+
+    assert.deepEqual(describeRedirects(addRules), ["name gclid", "name id"]);
+    assert.deepEqual(addRules[1].condition.excludedRequestDomains, [
+        "example.com",
+    ]);
+});
+
+test("leaves malformed rules out of the rule snapshot", async () => {
+    const rules = [
+        ...removalRules("gclid"),
+        { type: "strip", pattern: "a" },
+        { pattern: "b", replacement: "", target: "query" },
+        { pattern: "c", replacement: "", domains: "example.com" },
+        { pattern: "d", replacement: "", excludeDomains: [1] },
+        { type: "unwrap", pattern: "^https://out\\." },
+        { pattern: 5, replacement: "" },
+    ];
+    const { background } = await loadBackground({ sync: { rules } });
+    const snapshot = structuredClone(await background.buildRuleSnapshot());
+
+    // Rule pack rules are merged in after the stored ones
+    const storedRules = snapshot.rules.filter((rule) => !rule.pack);
+    assert.deepEqual(storedRules, removalRules("gclid"));
+});
+
+test("lets a tab navigate to a link restored from its log", async () => {
+    const { background, chrome } = await loadBackground();
+    const url = "https://example.com/?utm_source=x";
+
+    await background.allowRestoredUrl(7, url);
+    assert.deepEqual(chrome.declarativeNetRequest.sessionRules, [
+        {
+            id: 1,
+            priority: 3,
+            action: { type: "allow" },
+            condition: {
+                urlFilter: `|${url}|`,
+                tabIds: [7],
+                resourceTypes: ["main_frame", "sub_frame"],
+            },
+        },
+    ]);
+
+    background.handleTabRemoved(7);
+    await background.redirectRulesQueue;
+    assert.deepEqual(chrome.declarativeNetRequest.sessionRules, []);
+});
+
+test("lets every navigation of a paused tab through until it reloads", async () => {
+    const { background, chrome } = await loadBackground();
+    const pauseRule = {
+        id: 2,
+        priority: 3,
+        action: { type: "allow" },
+        condition: {
+            tabIds: [7],
+            resourceTypes: ["main_frame", "sub_frame"],
+        },
+    };
+
+    await background.allowRestoredUrl(7, "https://example.com/?ref=1");
+    await background.allowPausedTab(7);
+    await background.allowPausedTab(7);
+    assert.deepEqual(chrome.declarativeNetRequest.sessionRules[1], pauseRule);
+    assert.equal(chrome.declarativeNetRequest.sessionRules.length, 2);
+
+    // Restored links stay allowed until the tab is closed
+    background.handleTabUpdate(7, { status: "loading" }, {});
+    await background.redirectRulesQueue;
+    assert.deepEqual(
+        chrome.declarativeNetRequest.sessionRules.map((rule) => rule.id),
+        [1]
+    );
+
+    await background.allowPausedTab(7);
+    background.handleTabRemoved(7);
+    await background.redirectRulesQueue;
+    assert.deepEqual(chrome.declarativeNetRequest.sessionRules, []);
+});
+
+// Serve a rule list that answers conditional requests with 304 until it
+// is told to fail
+async function startListServer() {
+    const server = http.createServer((request, response) => {
+        server.requests.push(request.headers);
+        if (server.status !== 200) {
+            response.writeHead(server.status).end();
+        } else if (request.headers["if-none-match"] === '"v1"') {
+            response.writeHead(304).end();
+        } else {
+            response
+                .writeHead(200, { ETag: '"v1"' })
+                .end("||example.com^$removeparam=gclid\nnot a filter\n");
+        }
+    });
+    server.requests = [];
+    server.status = 200;
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    server.url = `http://127.0.0.1:${server.address().port}/list.txt`;
+    return server;
+}
+
+test("downloads subscribed lists and revalidates them by ETag", async (t) => {
+    const server = await startListServer();
+    t.after(() => server.close());
+    const { background } = await loadBackground();
+
+    const cached = structuredClone(
+        await background.fetchSubscription(server.url, {})
+    );
+    assert.deepEqual(cached.rules, [
+        {
+            pattern: "gclid",
+            replacement: "",
+            exact: true,
+            domains: ["example.com"],
+        },
+    ]);
+    assert.equal(cached.skippedCount, 1);
+    assert.equal(cached.etag, '"v1"');
+    assert.equal(cached.lastError, null);
+
+    const revalidated = structuredClone(
+        await background.fetchSubscription(server.url, cached)
+    );
+    assert.equal(server.requests[1]["if-none-match"], '"v1"');
+    assert.deepEqual(revalidated.rules, cached.rules);
+    assert.equal(revalidated.lastUpdated, cached.lastUpdated);
+    assert.ok(revalidated.lastChecked >= cached.lastChecked);
+});
+
+test("keeps the cached list when a download fails", async (t) => {
+    const server = await startListServer();
+    t.after(() => server.close());
+    const { background } = await loadBackground();
+    const cached = structuredClone(
+        await background.fetchSubscription(server.url, {})
+    );
+
+    server.status = 500;
+    const failed = await background.fetchSubscription(server.url, cached);
+    assert.equal(failed.lastError, "HTTP 500");
+    assert.deepEqual(structuredClone(failed.rules), cached.rules);
+
+    // Nothing listens on the port once the server is closed
+    await new Promise((resolve) => server.close(resolve));
+    const unreachable = await background.fetchSubscription(server.url, cached);
+    assert.ok(unreachable.lastError);
+    assert.deepEqual(structuredClone(unreachable.rules), cached.rules);
+});
+
+test("drops lists that are no longer subscribed from the cache", async (t) => {
+    const server = await startListServer();
+    t.after(() => server.close());
+    const { background, chrome } = await loadBackground({
+        sync: { subscriptions: [{ url: server.url }] },
+        local: {
+            subscriptionCache: {
+                "https://old.example/list.txt": { rules: [] },
+            },
+        },
+    });
+
+    await background.refreshSubscriptions();
+
+    const { subscriptionCache } = chrome.storage.local.items;
+    assert.deepEqual(Object.keys(subscriptionCache), [server.url]);
+    assert.equal(subscriptionCache[server.url].rules.length, 1);
+});
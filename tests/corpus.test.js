@@ -0,0 +1,49 @@
+/**
+ * Cleans a corpus of real-world tracked URLs with the default rules and the
+ * packs enabled by default, as a fresh install would
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RuleEngine } = require("../rule_engine.js");
+const { DEFAULT_RULES, getEffectiveRules } = require("../rule_catalog.js");
+const trackedUrls = require("./tracked_urls.json");
+
+const ruleEngine = new RuleEngine(getEffectiveRules(DEFAULT_RULES));
+
+for (const { name, url, page, expected } of trackedUrls) {
+    test(name, () => {
+        const pageUrl = page ? new URL(page) : null;
+        const result = ruleEngine.cleanUrl(url, {
+            baseUrl: pageUrl?.href,
+            pageHost: pageUrl?.hostname,
+        });
+
+        assert.equal(result.url, expected);
+        assert.equal(result.changes.length > 0, expected !== url);
+    });
+}
+
+test("the name index cleans like testing every rule", () => {
+    const unindexedEngine = new RuleEngine(getEffectiveRules(DEFAULT_RULES), {
+        indexNames: false,
+    });
+
+    for (const { url, page } of trackedUrls) {
+        const pageHost = page ? new URL(page).hostname : undefined;
+        assert.deepEqual(
+            ruleEngine.cleanUrl(url, { baseUrl: page, pageHost }),
+            unindexedEngine.cleanUrl(url, { baseUrl: page, pageHost })
+        );
+    }
+});
+
+test("cleaned URLs are left alone when cleaned again", () => {
+    for (const { expected } of trackedUrls) {
+        assert.deepEqual(ruleEngine.cleanUrl(expected), {
+            url: expected,
+            changes: [],
+        });
+    }
+});
@@ -0,0 +1,39 @@
+/**
+ * In-memory chrome.storage areas for the unit tests
+ */
+
+/**
+ * Create a storage area. Items bigger than itemLimit bytes of key plus JSON
+ * value are refused, as chrome.storage.sync does
+ */
+function createStorageArea(itemLimit = Infinity) {
+    const items = {};
+    return {
+        items,
+        async get(keys) {
+            if (keys === null) return structuredClone(items);
+            const defaults = Array.isArray(keys)
+                ? Object.fromEntries(keys.map((key) => [key, undefined]))
+                : keys;
+            const result = {};
+            for (const [key, value] of Object.entries(defaults)) {
+                if (key in items) result[key] = structuredClone(items[key]);
+                else if (value !== undefined) result[key] = value;
+            }
+            return result;
+        },
+        async set(values) {
+            for (const [key, value] of Object.entries(values)) {
+                if ((key + JSON.stringify(value)).length > itemLimit) {
+                    throw new Error("QUOTA_BYTES_PER_ITEM quota exceeded");
+                }
+            }
+            Object.assign(items, structuredClone(values));
+        },
+        async remove(keys) {
+            for (const key of [].concat(keys)) delete items[key];
+        },
+    };
+}
+
+module.exports = { createStorageArea };
@@ -0,0 +1,144 @@
+/**
+ * Runs the background script in a fake service worker for the unit tests,
+ * with in-memory storage and declarativeNetRequest
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const { createStorageArea } = require("./fake_storage.js");
+
+// Event with listeners the tests can call
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: (listener) => listeners.push(listener),
+    };
+}
+
+// declarativeNetRequest keeping its rules in memory. Like Chrome, it
+// refuses duplicate rule IDs and more regex rules than its limit
+function createDeclarativeNetRequest() {
+    const dnr = {
+        dynamicRules: [],
+        sessionRules: [],
+        async isRegexSupported() {
+            return { isSupported: true };
+        },
+        async getDynamicRules() {
+            return structuredClone(dnr.dynamicRules);
+        },
+        async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+            const rules = [
+                ...dnr.dynamicRules.filter(
+                    (rule) => !removeRuleIds.includes(rule.id)
+                ),
+                ...addRules,
+            ];
+            const regexRules = rules.filter(
+                (rule) => rule.condition.regexFilter
+            );
+            if (new Set(rules.map((rule) => rule.id)).size < rules.length) {
+                throw new Error("Rule IDs must be unique");
+            }
+            if (regexRules.length > 1000) {
+                throw new Error("Dynamic rules exceed the regex rule limit");
+            }
+            dnr.dynamicRules = structuredClone(rules);
+        },
+        async getSessionRules() {
+            return structuredClone(dnr.sessionRules);
+        },
+        async updateSessionRules({ removeRuleIds = [], addRules = [] }) {
+            dnr.sessionRules = structuredClone([
+                ...dnr.sessionRules.filter(
+                    (rule) => !removeRuleIds.includes(rule.id)
+                ),
+                ...addRules,
+            ]);
+        },
+    };
+    return dnr;
+}
+
+/**
+ * Start the background script with the given sync and local items, and
+ * wait for it to initialize. Returns the background instance and the fake
+ * chrome API
+ */
+async function loadBackground({ sync = {}, local = {} } = {}) {
+    const chrome = {
+        storage: {
+            sync: createStorageArea(),
+            local: createStorageArea(),
+            session: createStorageArea(),
+            onChanged: createEvent(),
+        },
+        declarativeNetRequest: createDeclarativeNetRequest(),
+        runtime: {
+            getManifest: () => ({ version: "1.3.1" }),
+            getURL: (file) => `chrome-extension://test/${file}`,
+            onInstalled: createEvent(),
+            onMessage: createEvent(),
+        },
+        tabs: {
+            create: async () => ({}),
+            query: async () => [],
+            sendMessage: async () => undefined,
+            onUpdated: createEvent(),
+            onActivated: createEvent(),
+            onRemoved: createEvent(),
+        },
+        action: { setBadgeText() {}, setBadgeBackgroundColor() {} },
+        contextMenus: {
+            create() {},
+            removeAll: (callback) => callback?.(),
+            onClicked: createEvent(),
+        },
+        alarms: {
+            create: async () => {},
+            get: async () => null,
+            onAlarm: createEvent(),
+        },
+        scripting: { executeScript: async () => [] },
+    };
+    chrome.storage.session.setAccessLevel = async () => {};
+    Object.assign(chrome.storage.sync.items, structuredClone(sync));
+    Object.assign(chrome.storage.local.items, structuredClone(local));
+
+    const context = vm.createContext({
+        chrome,
+        console,
+        fetch,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        atob,
+        btoa,
+        structuredClone,
+        crypto,
+        setTimeout,
+        clearTimeout,
+        self: { addEventListener() {} },
+    });
+    const runScript = (file) =>
+        vm.runInContext(
+            fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+            context,
+            { filename: file }
+        );
+    context.importScripts = (...files) => files.forEach(runScript);
+
+    runScript("background.js");
+    const background = vm.runInContext("cleanURLsBackground", context);
+
+    // Every fake API resolves right away, so one task lets startup finish
+    await new Promise((resolve) => setImmediate(resolve));
+    await background.redirectRulesQueue;
+
+    return { background, chrome };
+}
+
+module.exports = { loadBackground };
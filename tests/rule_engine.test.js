@@ -0,0 +1,472 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    MAX_UNWRAP_DEPTH,
+    compileDomainPattern,
+    getRuleSource,
+    getLiteralNames,
+    RuleEngine,
+} = require("../rule_engine.js");
+
+// Clean a URL with the given rules, returning only the cleaned URL
+function clean(rules, url, options) {
+    return new RuleEngine(rules).cleanUrl(url, options).url;
+}
+
+test("compileDomainPattern matches a domain and its subdomains", () => {
+    const pattern = compileDomainPattern("example.com");
+
+    assert.ok(pattern.test("example.com"));
+    assert.ok(pattern.test("www.example.com"));
+    assert.ok(!pattern.test("notexample.com"));
+    assert.ok(!pattern.test("example.com.evil.net"));
+});
+
+test("compileDomainPattern expands wildcards", () => {
+    const pattern = compileDomainPattern("*.amazon.*");
+
+    assert.ok(pattern.test("www.amazon.co.uk"));
+    assert.ok(pattern.test("amazon.de"));
+    assert.ok(!pattern.test("amazonaws.com"));
+});
+
+test("getRuleSource anchors exact rules", () => {
+    assert.equal(getRuleSource({ pattern: "a|b", exact: true }), "^(?:a|b)$");
+    assert.equal(getRuleSource({ pattern: "utm_.*" }), "utm_.*");
+});
+
+test("getLiteralNames lists the names a rule spells out", () => {
+    assert.deepEqual(getLiteralNames({ pattern: "si|feature" }), [
+        "si",
+        "feature",
+    ]);
+    assert.deepEqual(getLiteralNames({ pattern: "^ref$" }), ["ref"]);
+    assert.deepEqual(getLiteralNames({ pattern: "utm_.*" }), []);
+});
+
+test("removes parameters matching a rule and keeps the others", () => {
+    assert.equal(
+        clean(
+            [{ pattern: "utm_.*", replacement: "" }],
+            "https://example.com/?utm_source=a&id=1&utm_medium=b"
+        ),
+        "https://example.com/?id=1"
+    );
+});
+
+test("unanchored rules match anywhere in the name, exact ones do not", () => {
+    const url = "https://example.com/?resource=1&source=2";
+
+    assert.equal(
+        clean([{ pattern: "source", replacement: "" }], url),
+        "https://example.com/"
+    );
+    assert.equal(
+        clean([{ pattern: "source", replacement: "", exact: true }], url),
+        "https://example.com/?resource=1"
+    );
+});
+
+test("rules are case-insensitive unless their flags say otherwise", () => {
+    const url = "https://example.com/?FBCLID=1";
+
+    assert.equal(
+        clean([{ pattern: "fbclid", replacement: "" }], url),
+        "https://example.com/"
+    );
+    assert.equal(
+        clean([{ pattern: "fbclid", replacement: "", flags: "" }], url),
+        url
+    );
+});
+
+test("replaces values, filling in capture groups", () => {
+    assert.equal(
+        clean(
+            [{ pattern: "sessionid", replacement: "cleaned" }],
+            "https://example.com/?sessionid=abc"
+        ),
+        "https://example.com/?sessionid=cleaned"
+    );
+    assert.equal(
+        clean(
+            [{ pattern: "^(.*)-21$", replacement: "$1", target: "value" }],
+            "https://example.com/?tag=shop-21"
+        ),
+        "https://example.com/?tag=shop"
+    );
+});
+
+test("name rules fill in capture groups from the name", () => {
+    const rules = [{ pattern: "^(tag)_old$", replacement: "$1-x" }];
+
+    assert.equal(
+        clean(rules, "https://example.com/?tag_old=abc-20"),
+        "https://example.com/?tag_old=tag-x"
+    );
+});
+
+test("replacements that leave the value as it is change nothing", () => {
+    const engine = new RuleEngine([
+        { pattern: "^(.*)-21$", replacement: "$1-21", target: "value" },
+        { pattern: "id", replacement: "1", exact: true },
+        { pattern: "^page$", replacement: "page", target: "path" },
+    ]);
+
+    assert.deepEqual(
+        engine.cleanUrl("https://example.com/page?tag=shop-21&id=1"),
+        { url: "https://example.com/page?tag=shop-21&id=1", changes: [] }
+    );
+});
+
+test("matches values and name=value pairs", () => {
+    const url = "https://example.com/?s=20&t=keep&q=s";
+
+    assert.equal(
+        clean([{ pattern: "^20$", replacement: "", target: "value" }], url),
+        "https://example.com/?t=keep&q=s"
+    );
+    assert.equal(
+        clean(
+            [
+                {
+                    pattern: "s=\\d+",
+                    replacement: "",
+                    exact: true,
+                    target: "pair",
+                },
+            ],
+            url
+        ),
+        "https://example.com/?t=keep&q=s"
+    );
+});
+
+test("indexes rules by the names they spell out", () => {
+    const engine = new RuleEngine([
+        { pattern: "fbclid|gclid", replacement: "", exact: true },
+        { pattern: "utm_.*", replacement: "" },
+        { pattern: "Tag", replacement: "", exact: true, flags: "" },
+        { pattern: "(a)\\1", replacement: "" },
+        { pattern: "x", replacement: "", target: "value" },
+    ]);
+
+    assert.deepEqual(
+        engine.configRules.map((rule) => rule.nameMatch),
+        ["literal", "combined", null, null, null]
+    );
+    assert.deepEqual([...engine.literalNameRules.keys()], ["fbclid", "gclid"]);
+    assert.equal(
+        engine.cleanUrl(
+            "https://example.com/?GCLID=1&utm_source=2&Tag=3&tag=4&aa=5&v=x"
+        ).url,
+        "https://example.com/?tag=4"
+    );
+});
+
+test("stops at the first matching rule, higher priorities first", () => {
+    const url = "https://example.com/?utm_source=a";
+    const replace = { pattern: "utm_source", replacement: "x", exact: true };
+    const remove = { pattern: "utm_.*", replacement: "" };
+
+    assert.equal(
+        clean([replace, remove], url),
+        "https://example.com/?utm_source=x"
+    );
+    assert.equal(clean([remove, replace], url), "https://example.com/");
+    assert.equal(
+        clean([remove, { ...replace, priority: 1 }], url),
+        "https://example.com/?utm_source=x"
+    );
+    assert.equal(
+        clean([{ ...remove, priority: -1 }, replace], url),
+        "https://example.com/?utm_source=x"
+    );
+});
+
+test("continue rules let later rules apply to the replaced value", () => {
+    const rules = [
+        {
+            pattern: "^(.*)-21$",
+            replacement: "$1",
+            target: "value",
+            continue: true,
+        },
+        { pattern: "^shop$", replacement: "store", target: "value" },
+        { pattern: "^store$", replacement: "never", target: "value" },
+    ];
+    const result = new RuleEngine(rules).cleanUrl(
+        "https://example.com/?tag=shop-21"
+    );
+
+    assert.equal(result.url, "https://example.com/?tag=store");
+    assert.equal(result.changes.length, 2);
+    assert.equal(
+        clean(
+            [
+                { pattern: "tag", replacement: "x", continue: true },
+                { pattern: "tag", replacement: "" },
+            ],
+            "https://example.com/?tag=shop&id=1"
+        ),
+        "https://example.com/?id=1"
+    );
+});
+
+test("removes and replaces path segments", () => {
+    const url = "https://www.amazon.com/dp/B08KTZ8249/ref=sr_1_3?th=1";
+
+    assert.equal(
+        clean(
+            [
+                {
+                    pattern: "ref=.*",
+                    replacement: "",
+                    exact: true,
+                    target: "path",
+                },
+            ],
+            url
+        ),
+        "https://www.amazon.com/dp/B08KTZ8249?th=1"
+    );
+    assert.equal(
+        clean(
+            [
+                {
+                    pattern: "ref=(.*)",
+                    replacement: "r-$1",
+                    exact: true,
+                    target: "path",
+                },
+            ],
+            url
+        ),
+        "https://www.amazon.com/dp/B08KTZ8249/r-sr_1_3?th=1"
+    );
+    assert.equal(
+        clean(
+            [
+                {
+                    pattern: "ref=(.*)",
+                    replacement: "$1",
+                    exact: true,
+                    target: "path",
+                    continue: true,
+                },
+                {
+                    pattern: "sr_.*",
+                    replacement: "",
+                    exact: true,
+                    target: "path",
+                },
+            ],
+            url
+        ),
+        "https://www.amazon.com/dp/B08KTZ8249?th=1"
+    );
+});
+
+test("cleans parameters in the fragment", () => {
+    const rules = [{ pattern: "utm_.*", replacement: "", target: "hash" }];
+
+    assert.equal(
+        clean(rules, "https://example.com/#utm_source=a&tab=2"),
+        "https://example.com/#tab=2"
+    );
+    assert.equal(
+        clean(rules, "https://example.com/#/inbox?utm_source=a"),
+        "https://example.com/#/inbox"
+    );
+    assert.equal(
+        clean(rules, "https://example.com/?utm_source=a#top"),
+        "https://example.com/?utm_source=a#top"
+    );
+});
+
+test("scopes rules to the URL's domain or the page's", () => {
+    const rules = [
+        { pattern: "si", replacement: "", exact: true, domains: ["youtu.be"] },
+    ];
+
+    assert.equal(clean(rules, "https://youtu.be/x?si=1"), "https://youtu.be/x");
+    assert.equal(
+        clean(rules, "https://example.com/?si=1"),
+        "https://example.com/?si=1"
+    );
+    assert.equal(
+        clean(rules, "https://example.com/?si=1", { pageHost: "youtu.be" }),
+        "https://example.com/"
+    );
+});
+
+test("one engine applies the rules in scope of every host it cleans for", () => {
+    const engine = new RuleEngine([
+        { pattern: "si", replacement: "", exact: true, domains: ["youtu.be"] },
+        { pattern: "ref", replacement: "", exact: true },
+    ]);
+    const cleanWith = (url, pageHost) => engine.cleanUrl(url, { pageHost }).url;
+
+    assert.equal(
+        cleanWith("https://youtu.be/x?si=1&ref=2"),
+        "https://youtu.be/x"
+    );
+    assert.equal(
+        cleanWith("https://example.com/?si=1&ref=2"),
+        "https://example.com/?si=1"
+    );
+    assert.equal(
+        cleanWith("https://example.com/?si=1&ref=2", "youtu.be"),
+        "https://example.com/"
+    );
+    assert.equal(
+        cleanWith("https://example.com/?si=3"),
+        "https://example.com/?si=3"
+    );
+});
+
+test("excluded domains win over included ones", () => {
+    const rules = [
+        {
+            pattern: "ref",
+            replacement: "",
+            exact: true,
+            domains: ["example.com"],
+            excludeDomains: ["docs.example.com"],
+        },
+    ];
+
+    assert.equal(
+        clean(rules, "https://www.example.com/?ref=1"),
+        "https://www.example.com/"
+    );
+    assert.equal(
+        clean(rules, "https://docs.example.com/?ref=1"),
+        "https://docs.example.com/?ref=1"
+    );
+});
+
+test("keep rules protect parameters from removal, not from replacement", () => {
+    const rules = [
+        { pattern: "ref.*", replacement: "" },
+        { pattern: "tag", replacement: "clean", exact: true },
+        { type: "keep", pattern: "ref|tag", exact: true },
+    ];
+
+    assert.equal(
+        clean(rules, "https://example.com/?ref=main&ref_src=tw&tag=x"),
+        "https://example.com/?ref=main&tag=clean"
+    );
+});
+
+test("keep rules apply to the fragment and respect their domains", () => {
+    const rules = [
+        { pattern: "v", replacement: "", exact: true, target: "hash" },
+        { pattern: "v", replacement: "", exact: true },
+        { type: "keep", pattern: "v", exact: true, domains: ["youtube.com"] },
+    ];
+
+    assert.equal(
+        clean(rules, "https://www.youtube.com/watch?v=abc#v=1"),
+        "https://www.youtube.com/watch?v=abc#v=1"
+    );
+    assert.equal(
+        clean(rules, "https://example.com/?v=abc#v=1"),
+        "https://example.com/"
+    );
+});
+
+test("unwraps plain, percent-encoded and base64 destinations", () => {
+    const rules = [
+        { type: "unwrap", pattern: "^https://r\\.example/", param: "^u$" },
+    ];
+    const target = "https://dest.example/page?id=1";
+
+    for (const value of [
+        target,
+        encodeURIComponent(target),
+        Buffer.from(target).toString("base64url"),
+    ]) {
+        assert.equal(clean(rules, `https://r.example/?u=${value}`), target);
+    }
+    assert.equal(
+        clean(rules, "https://r.example/?u=not-a-url"),
+        "https://r.example/?u=not-a-url"
+    );
+});
+
+test("cleans unwrapped destinations and stops at nested wrappers", () => {
+    const rules = [
+        { type: "unwrap", pattern: "^https://r\\.example/", param: "^u$" },
+        { pattern: "utm_.*", replacement: "" },
+    ];
+
+    assert.equal(
+        clean(
+            rules,
+            `https://r.example/?u=${encodeURIComponent(
+                "https://dest.example/?utm_source=r&id=1"
+            )}`
+        ),
+        "https://dest.example/?id=1"
+    );
+
+    let url = "https://dest.example/";
+    for (let i = 0; i <= MAX_UNWRAP_DEPTH; i++) {
+        url = `https://r.example/?u=${encodeURIComponent(url)}`;
+    }
+    assert.match(clean(rules, url), /^https:\/\/r\.example\//);
+});
+
+test("reports which rule made each change", () => {
+    const result = new RuleEngine([
+        { type: "unwrap", pattern: "^https://r\\.example/", param: "^u$" },
+        { pattern: "fbclid", replacement: "", exact: true, pack: "meta" },
+    ]).cleanUrl(
+        `https://r.example/?u=${encodeURIComponent(
+            "https://dest.example/?fbclid=1"
+        )}`
+    );
+
+    assert.deepEqual(result.changes, [
+        {
+            rule: {
+                type: "unwrap",
+                pattern: "^https://r\\.example/",
+                pack: undefined,
+                subscription: undefined,
+            },
+        },
+        {
+            rule: {
+                type: "param",
+                pattern: "fbclid",
+                pack: "meta",
+                subscription: undefined,
+            },
+            param: "fbclid",
+        },
+    ]);
+});
+
+test("resolves relative URLs against the base URL", () => {
+    const rules = [{ pattern: "utm_.*", replacement: "" }];
+
+    assert.equal(
+        clean(rules, "/a?utm_source=x&id=1", {
+            baseUrl: "https://example.com/home",
+        }),
+        "https://example.com/a?id=1"
+    );
+});
+
+test("leaves values that are not URLs unchanged", () => {
+    const engine = new RuleEngine([{ pattern: "utm_.*", replacement: "" }]);
+
+    assert.deepEqual(engine.cleanUrl("/relative?utm_source=x"), {
+        url: "/relative?utm_source=x",
+        changes: [],
+    });
+    assert.deepEqual(engine.cleanUrl(""), { url: "", changes: [] });
+});
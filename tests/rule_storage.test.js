@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    RULE_STORAGE_KEY,
+    SYNC_QUOTA_BYTES_PER_ITEM,
+    shardRules,
+    loadStoredRules,
+    saveStoredRules,
+    areRulesOnOtherDevice,
+    haveStoredRulesChanged,
+} = require("../rule_storage.js");
+const { createStorageArea } = require("./fake_storage.js");
+
+// Rules whose JSON takes about the given number of bytes each
+function createRules(count, bytes = 100) {
+    return Array.from({ length: count }, (_, index) => ({
+        pattern: `param${index}_${"x".repeat(bytes)}`,
+        replacement: "",
+    }));
+}
+
+test.beforeEach(() => {
+    global.chrome = {
+        storage: {
+            sync: createStorageArea(SYNC_QUOTA_BYTES_PER_ITEM),
+            local: createStorageArea(),
+        },
+    };
+});
+
+test("shards rules in order, each shard fitting a sync item", () => {
+    const rules = createRules(300);
+    const shards = shardRules(rules);
+
+    assert.ok(shards.length > 1);
+    assert.deepEqual(shards.flat(), rules);
+    shards.forEach((shard, index) => {
+        assert.ok(
+            `rules_${index}${JSON.stringify(shard)}`.length <=
+                SYNC_QUOTA_BYTES_PER_ITEM
+        );
+    });
+    assert.equal(shardRules(createRules(1, SYNC_QUOTA_BYTES_PER_ITEM)), null);
+});
+
+test("saves rules beyond a sync item across shards", async () => {
+    const rules = createRules(300);
+
+    assert.equal(await saveStoredRules(rules), "sync");
+    assert.deepEqual(await loadStoredRules(), rules);
+
+    // Fewer rules leave no stale shards behind
+    assert.equal(await saveStoredRules(rules.slice(0, 2)), "sync");
+    assert.deepEqual(await loadStoredRules(), rules.slice(0, 2));
+    assert.deepEqual(Object.keys(chrome.storage.sync.items).sort(), [
+        RULE_STORAGE_KEY,
+        "rules_0",
+    ]);
+});
+
+test("keeps rules beyond the sync budget on this device", async () => {
+    const rules = createRules(1000);
+
+    assert.equal(await saveStoredRules(rules), "local");
+    assert.deepEqual(await loadStoredRules(), rules);
+    assert.equal(chrome.storage.sync.items[RULE_STORAGE_KEY].area, "local");
+
+    // Moving back to sync clears the local copy
+    assert.equal(await saveStoredRules(rules.slice(0, 10)), "sync");
+    assert.deepEqual(await loadStoredRules(), rules.slice(0, 10));
+    assert.equal(chrome.storage.local.items.rules, undefined);
+});
+
+test("only replaces rules kept on another device when asked to", async () => {
+    const rules = createRules(1000);
+    await saveStoredRules(rules);
+    const otherDevice = chrome.storage.local;
+    assert.equal(await areRulesOnOtherDevice(), false);
+
+    // A second browser shares sync, but not the local rules
+    chrome.storage.local = createStorageArea();
+    assert.equal(await areRulesOnOtherDevice(), true);
+    await assert.rejects(
+        saveStoredRules(createRules(10)),
+        /stored on another device/
+    );
+    assert.equal(
+        chrome.storage.sync.items[RULE_STORAGE_KEY].device,
+        otherDevice.items.deviceId
+    );
+
+    assert.equal(
+        await saveStoredRules(createRules(10), { replaceOtherDevice: true }),
+        "sync"
+    );
+    assert.equal(await areRulesOnOtherDevice(), false);
+
+    // The first browser reads the rules that replaced its own
+    chrome.storage.local = otherDevice;
+    assert.deepEqual(await loadStoredRules(), createRules(10));
+});
+
+test("rules kept locally before devices were named belong to the device holding them", async () => {
+    await saveStoredRules(createRules(1000));
+    delete chrome.storage.sync.items[RULE_STORAGE_KEY].device;
+    assert.equal(await areRulesOnOtherDevice(), false);
+
+    chrome.storage.local = createStorageArea();
+    assert.equal(await areRulesOnOtherDevice(), true);
+});
+
+test("reads and replaces rules stored in the single sync key", async () => {
+    const rules = createRules(3);
+    chrome.storage.sync.items.rules = rules;
+
+    assert.deepEqual(await loadStoredRules(), rules);
+    await saveStoredRules(rules);
+    assert.equal(chrome.storage.sync.items.rules, undefined);
+    assert.deepEqual(await loadStoredRules(), rules);
+});
+
+test("tells storage changes that touch the rules", () => {
+    assert.ok(haveStoredRulesChanged({ [RULE_STORAGE_KEY]: {} }, "sync"));
+    assert.ok(haveStoredRulesChanged({ rules_2: {} }, "sync"));
+    assert.ok(haveStoredRulesChanged({ rules: {} }, "local"));
+    assert.ok(!haveStoredRulesChanged({ allowlist: {} }, "sync"));
+    assert.ok(!haveStoredRulesChanged({ subscriptionCache: {} }, "local"));
+});
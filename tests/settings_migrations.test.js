@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The migrations use the rule storage the service worker loads beside them
+Object.assign(global, require("../rule_storage.js"));
+
+const {
+    SETTINGS_SCHEMA_KEY,
+    SETTINGS_SCHEMA_VERSION,
+    SETTINGS_MIGRATIONS,
+    isLegacyDownloadRule,
+    applySettingsMigrations,
+    runSettingsMigrations,
+} = require("../settings_migrations.js");
+const { createStorageArea } = require("./fake_storage.js");
+
+// Run a single migration step on rules and settings
+function migrateTo(version, rules, settings = {}) {
+    const step = SETTINGS_MIGRATIONS.find((step) => step.version === version);
+    return step.migrate({ rules, settings });
+}
+
+test.beforeEach(() => {
+    global.chrome = {
+        storage: { sync: createStorageArea(), local: createStorageArea() },
+    };
+});
+
+test("migration steps run in order of increasing version", () => {
+    SETTINGS_MIGRATIONS.forEach((step, index) => {
+        assert.equal(step.version, index + 1);
+    });
+    assert.equal(SETTINGS_SCHEMA_VERSION, SETTINGS_MIGRATIONS.length);
+});
+
+test("version 1 makes rules without a target match names", () => {
+    const { rules, settings } = migrateTo(
+        1,
+        [
+            { pattern: "utm_.*", replacement: "" },
+            { pattern: "x", replacement: "", target: "value" },
+            { type: "unwrap", pattern: "^https://out\\.", param: "^u$" },
+            { type: "keep", pattern: "id" },
+        ],
+        { showBadge: false }
+    );
+
+    assert.deepEqual(rules, [
+        { pattern: "utm_.*", replacement: "", target: "name" },
+        { pattern: "x", replacement: "", target: "value" },
+        { type: "unwrap", pattern: "^https://out\\.", param: "^u$" },
+        { type: "keep", pattern: "id" },
+    ]);
+    assert.deepEqual(settings, { showBadge: false });
+});
+
+test('version 2 drops the "download" default unless it was changed', () => {
+    // As releases stored it, before exact matching existed
+    const download = { pattern: "download", replacement: "" };
+    const changedRules = [
+        { ...download, exact: false },
+        { ...download, target: "value" },
+        { ...download, domains: ["example.com"] },
+        { ...download, disabled: true },
+        { ...download, replacement: "1" },
+        { type: "keep", pattern: "download", exact: true },
+    ];
+    const { rules } = migrateTo(2, [
+        download,
+        { ...download, target: "name" },
+        { ...download, exact: true, target: "name" },
+        ...changedRules,
+    ]);
+
+    assert.ok(isLegacyDownloadRule(download));
+    assert.deepEqual(rules, changedRules);
+});
+
+test("applies the steps newer than the stored version", () => {
+    const data = {
+        rules: [
+            { pattern: "utm_.*", replacement: "" },
+            { pattern: "download", replacement: "" },
+        ],
+        settings: {},
+    };
+
+    const fromScratch = applySettingsMigrations(data, 0);
+    assert.equal(fromScratch.version, SETTINGS_SCHEMA_VERSION);
+    assert.deepEqual(fromScratch.data.rules, [
+        { pattern: "utm_.*", replacement: "", target: "name" },
+    ]);
+
+    // Version 1 data keeps the rules version 1 did not touch
+    const fromOne = applySettingsMigrations(data, 1);
+    assert.deepEqual(fromOne.data.rules, [data.rules[0]]);
+
+    // The data given is never changed
+    assert.equal(data.rules.length, 2);
+});
+
+test("names the step that failed", () => {
+    assert.throws(
+        () =>
+            applySettingsMigrations({ rules: [], settings: {} }, 0, [
+                { version: 1, description: "Broken", migrate: () => null.x },
+            ]),
+        /Migration to version 1 \(Broken\) failed/
+    );
+});
+
+test("migrates stored rules and settings, then stores the version", async () => {
+    chrome.storage.sync.items.rules = [
+        { pattern: "utm_.*", replacement: "" },
+        { pattern: "download", replacement: "" },
+    ];
+    chrome.storage.sync.items.showBadge = true;
+
+    const result = await runSettingsMigrations([
+        ...SETTINGS_MIGRATIONS,
+        {
+            version: SETTINGS_SCHEMA_VERSION + 1,
+            description: "Rename showBadge",
+            migrate: ({ rules, settings: { showBadge, ...settings } }) => ({
+                rules,
+                settings: { ...settings, badge: showBadge ? "count" : "off" },
+            }),
+        },
+    ]);
+
+    assert.deepEqual(result, { from: 0, to: SETTINGS_SCHEMA_VERSION + 1 });
+    assert.deepEqual(await loadStoredRules(), [
+        { pattern: "utm_.*", replacement: "", target: "name" },
+    ]);
+    assert.equal(chrome.storage.sync.items.showBadge, undefined);
+    assert.equal(chrome.storage.sync.items.badge, "count");
+    assert.equal(
+        chrome.storage.sync.items[SETTINGS_SCHEMA_KEY],
+        SETTINGS_SCHEMA_VERSION + 1
+    );
+});
+
+test("a failed migration keeps the old data", async () => {
+    const rules = [{ pattern: "utm_.*", replacement: "" }];
+    chrome.storage.sync.items.rules = rules;
+    chrome.storage.sync.items.showBadge = true;
+    const stored = structuredClone(chrome.storage.sync.items);
+
+    await assert.rejects(
+        runSettingsMigrations([
+            ...SETTINGS_MIGRATIONS,
+            {
+                version: SETTINGS_SCHEMA_VERSION + 1,
+                description: "Broken",
+                migrate: () => {
+                    throw new Error("unexpected rule");
+                },
+            },
+        ]),
+        /unexpected rule/
+    );
+    assert.deepEqual(chrome.storage.sync.items, stored);
+});
+
+test("leaves current and newer data alone", async () => {
+    const rules = [{ pattern: "download", replacement: "", exact: true }];
+    chrome.storage.sync.items.rules = rules;
+
+    for (const version of [SETTINGS_SCHEMA_VERSION, 99]) {
+        chrome.storage.sync.items[SETTINGS_SCHEMA_KEY] = version;
+        assert.deepEqual(await runSettingsMigrations(), {
+            from: version,
+            to: version,
+        });
+        assert.deepEqual(chrome.storage.sync.items.rules, rules);
+    }
+});